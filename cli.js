@@ -20,10 +20,149 @@ program
   .description(
     "Fetch the latest weather data and append it to the SQLite database",
   )
-  .action(async () => {
+  .option(
+    "-b, --backfill",
+    "Insert every observation in the history window, not just the latest",
+  )
+  .option(
+    "--hours <number>",
+    "Hours of history to request from Aurora (default: 1, or 24 with --backfill)",
+  )
+  .option(
+    "-f, --max-failures <budget>",
+    'Exit non-zero if more locations fail than this count or percentage, e.g. "5" or "10%"',
+    process.env.FETCH_MAX_FAILURES || "10%",
+  )
+  .option(
+    "--timeout <ms>",
+    "Abort each Aurora request after this many milliseconds",
+    process.env.AURORA_TIMEOUT_MS || "30000",
+  )
+  .option(
+    "--retries <number>",
+    "Retry failed Aurora requests this many times",
+    process.env.AURORA_RETRIES || "3",
+  )
+  .option(
+    "--batch-size <number>",
+    "How many locations to request in each GraphQL query",
+    process.env.AURORA_BATCH_SIZE || "20",
+  )
+  .option(
+    "--concurrency <number>",
+    "How many GraphQL queries to run at once",
+    process.env.AURORA_CONCURRENCY || "3",
+  )
+  .action(async (options) => {
     const { default: fetchWeatherCron } =
       await import("./src/fetch-weather-cron.js");
-    await fetchWeatherCron();
+    const { budgetExceeded } = await fetchWeatherCron({
+      backfill: Boolean(options.backfill),
+      ...(options.hours && { hours: Number(options.hours) }),
+      maxFailures: options.maxFailures,
+      retryOptions: {
+        timeout: Number(options.timeout),
+        retries: Number(options.retries),
+      },
+      batchSize: options.batchSize,
+      concurrency: options.concurrency,
+    });
+    if (budgetExceeded) {
+      process.exit(1);
+    }
+  });
+
+program
+  .command("migrate")
+  .description("Show the status of database migrations, or apply pending ones")
+  .argument("[action]", "status or up", "up")
+  .option("-n, --dry-run", "List the migrations that would run")
+  .option(
+    "--allow-drop",
+    "Archive and drop columns that were removed from SCHEMA_MAPPING",
+  )
+  .action(async (action, options) => {
+    const { default: migrate } = await import("./src/migrate.js");
+    await migrate({
+      action,
+      dryRun: Boolean(options.dryRun),
+      allowDrop: Boolean(options.allowDrop),
+    });
+  });
+
+program
+  .command("remove-old-locations")
+  .description("Delete data for Aurora IDs that are no longer in au.geo.json")
+  .option("-n, --dry-run", "Count the rows that would be removed")
+  .action(async (options) => {
+    const { default: removeOldLocations } =
+      await import("./src/remove-old-locations.js");
+    await removeOldLocations({ dryRun: Boolean(options.dryRun) });
+  });
+
+program
+  .command("runs")
+  .description(
+    "List recent fetch-weather-cron runs and locations with failure streaks",
+  )
+  .option("-n, --limit <number>", "How many runs to list", "10")
+  .action(async (options) => {
+    const { default: listRuns } = await import("./src/runs.js");
+    await listRuns({ limit: Number(options.limit) });
+  });
+
+program
+  .command("detect-gaps")
+  .description(
+    "Report gaps between consecutive observations for each location, and optionally refetch them",
+  )
+  .option("-d, --days <days>", "How many days back to scan", "14")
+  .option(
+    "-g, --max-gap <minutes>",
+    "Report spans longer than this many minutes",
+    "30",
+  )
+  .option("-r, --refetch", "Backfill affected locations from Aurora")
+  .option(
+    "--max-hours <hours>",
+    "Longest history window to request when refetching",
+    "48",
+  )
+  .option(
+    "--tz <timeZone>",
+    "Time zone for the days gaps are grouped by",
+    process.env.GENERATE_TZ || "Australia/Brisbane",
+  )
+  .action(async (options) => {
+    const { default: detectGaps } = await import("./src/detect-gaps.js");
+    await detectGaps({
+      days: Number(options.days),
+      maxGap: Number(options.maxGap),
+      refetch: Boolean(options.refetch),
+      maxHours: Number(options.maxHours),
+      tz: options.tz,
+    });
+  });
+
+program
+  .command("build-climatology")
+  .description(
+    "Rebuild the per-station day-of-year and hour baselines used by --anomaly",
+  )
+  .option(
+    "-c, --columns <columns>",
+    "Comma-separated list of columns to summarise",
+    "tempC",
+  )
+  .option("-w, --window <days>", "Days either side of each day to include", "7")
+  .option(
+    "--min-count <number>",
+    "Leave out days and hours with fewer readings than this",
+    "20",
+  )
+  .action(async (options) => {
+    const { default: buildClimatology } = await import("./src/climatology.js");
+    await buildClimatology(options);
   });
 
 program
@@ -32,6 +171,27 @@ program
   .option("-c, --column <columnName>", "Which column to return", "tempC")
   .option("-d, --dayStart <number>", "Day relative to today (0, -1, -2)", "0")
   .option("-o, --output <filename>", "Where to write this json", "output.json")
+  .option("--allow-text", "Allow TEXT columns as well as numeric ones")
+  .option(
+    "--tz <timeZone>",
+    "Time zone for day boundaries",
+    process.env.GENERATE_TZ || "Australia/Brisbane",
+  )
+  .option("--local-days", "Bucket each location by its own local day")
+  .option("--from <date>", "First day, as an ISO date (overrides --dayStart)")
+  .option("--to <date>", "Last day, as an ISO date")
+  .option("--span <days>", "Number of days in the file")
+  .option("-a, --aggregate <bucket>", "Aggregate into hour or day buckets")
+  .option(
+    "-s, --stat <stat>",
+    "Statistic for each bucket: min, max, mean, sum or last",
+    "mean",
+  )
+  .option("--qc <mode>", "Run QC checks and exclude or annotate flagged values")
+  .option(
+    "--anomaly <mode>",
+    "Output departure (from the climatology mean) or percentile values",
+  )
   .action(async (options) => {
     const { default: generateDataset } =
       await import("./src/generate-dataset.js");
@@ -51,12 +211,179 @@ program
     "Number of days to generate data for",
     process.env.GENERATE_DAYS || "1",
   )
+  .option("-o, --output-dir <dir>", "Where to write the files", "data/assets/")
+  .option("-f, --force", "Rewrite every file, even if its data is unchanged")
+  .option("--allow-text", "Allow TEXT columns as well as numeric ones")
+  .option(
+    "--tz <timeZone>",
+    "Time zone for day boundaries",
+    process.env.GENERATE_TZ || "Australia/Brisbane",
+  )
+  .option("--local-days", "Bucket each location by its own local day")
+  .option("--from <date>", "First day, as an ISO date (overrides --days)")
+  .option("--to <date>", "Last day, as an ISO date (default today)")
+  .option("--span <days>", "Number of days in each file", "1")
+  .option(
+    "--stale-minutes <minutes>",
+    "Flag latest.json readings older than this as stale",
+    process.env.LATEST_STALE_MINUTES || "90",
+  )
+  .option(
+    "--records-days <days>",
+    "How many days of broken records records.json lists",
+    process.env.RECORDS_DAYS || "1",
+  )
+  .option(
+    "--format <format>",
+    "Output format: json or columnar",
+    process.env.GENERATE_FORMAT || "json",
+  )
+  .option(
+    "--qc <mode>",
+    "Run QC checks and exclude or annotate flagged values",
+    process.env.GENERATE_QC,
+  )
   .action(async (options) => {
     const { default: generateDatasets } =
       await import("./src/generate-datasets.js");
     await generateDatasets(options);
   });
 
+program
+  .command("generate-rollup")
+  .description(
+    "Generate one series per state, capital city or polygon for a column and day",
+  )
+  .option("-c, --column <columnName>", "Which column to return", "tempC")
+  .option("-d, --dayStart <number>", "Day relative to today (0, -1, -2)", "0")
+  .option("--from <date>", "First day, as an ISO date (overrides --dayStart)")
+  .option("--to <date>", "Last day, as an ISO date")
+  .option("--span <days>", "Number of days in the file")
+  .option(
+    "--tz <timeZone>",
+    "Time zone for day boundaries",
+    process.env.GENERATE_TZ || "Australia/Brisbane",
+  )
+  .option(
+    "-b, --by <regions>",
+    "state, capital, or a GeoJSON file of polygons",
+    "state",
+  )
+  .option(
+    "-s, --stat <stat>",
+    "How to combine stations: min, max, mean, sum or last",
+    "mean",
+  )
+  .option("-i, --interval <minutes>", "Minutes per step", "30")
+  .option("-o, --output <filename>", "Where to write this json", "rollup.json")
+  .action(async (options) => {
+    const { default: generateRollup } =
+      await import("./src/generate-rollup.js");
+    await generateRollup(options);
+  });
+
+program
+  .command("generate-grid")
+  .description(
+    "Write an interpolated grid of a column for map rendering, one frame per step",
+  )
+  .option("-c, --column <columnName>", "Which column to grid", "tempC")
+  .option("-d, --dayStart <number>", "Day relative to today (0, -1, -2)", "0")
+  .option("--from <date>", "First day, as an ISO date (overrides --dayStart)")
+  .option("--to <date>", "Last day, as an ISO date")
+  .option("--span <days>", "Number of days in the file")
+  .option(
+    "--tz <timeZone>",
+    "Time zone for day boundaries",
+    process.env.GENERATE_TZ || "Australia/Brisbane",
+  )
+  .option("-r, --resolution <degrees>", "Cell size in degrees", "0.5")
+  .option("--step <minutes>", "Minutes between frames", "60")
+  .option("--bbox <west,south,east,north>", "Grid extent (default Australia)")
+  .option("--power <number>", "Inverse distance weighting power", "2")
+  .option(
+    "--max-distance <km>",
+    "Leave cells with no station this close empty",
+    "300",
+  )
+  .option("--mask <file>", "GeoJSON polygons, e.g. a coastline, to clip to")
+  .option("-o, --output-dir <dir>", "Where to write the file", "data/assets/")
+  .action(async (options) => {
+    const { default: generateGrid } = await import("./src/generate-grid.js");
+    await generateGrid(options);
+  });
+
+program
+  .command("generate-latest")
+  .description(
+    "Write latest.json with every location's most recent reading of each column",
+  )
+  .option(
+    "-c, --columns <columns>",
+    "Comma-separated list of columns",
+    process.env.GENERATE_DATASETS || "tempC",
+  )
+  .option("-o, --output-dir <dir>", "Where to write the file", "data/assets/")
+  .option(
+    "--stale-minutes <minutes>",
+    "Flag readings older than this as stale",
+    process.env.LATEST_STALE_MINUTES || "90",
+  )
+  .option("--allow-text", "Allow TEXT columns as well as numeric ones")
+  .action(async (options) => {
+    const { default: generateLatest } =
+      await import("./src/generate-latest.js");
+    await generateLatest(options);
+  });
+
+program
+  .command("generate-records")
+  .description(
+    "Catch up the station records and write records.json with the ones recently broken",
+  )
+  .option("-o, --output-dir <dir>", "Where to write the file", "data/assets/")
+  .option(
+    "--days <days>",
+    "How many days of broken records to list",
+    process.env.RECORDS_DAYS || "1",
+  )
+  .action(async (options) => {
+    const { default: generateRecords } = await import("./src/records.js");
+    await generateRecords(options);
+  });
+
+program
+  .command("list-columns")
+  .description(
+    "List the columns that can be generated, with their type and how populated they are",
+  )
+  .action(async () => {
+    const { default: listColumns } = await import("./src/list-columns.js");
+    await listColumns();
+  });
+
+program
+  .command("export")
+  .description("Export observations to CSV for spreadsheets")
+  .option(
+    "-l, --locations <locations>",
+    "Comma-separated Aurora IDs, station names or states (default all)",
+  )
+  .option("-c, --columns <columns>", "Comma-separated list of columns", "tempC")
+  .option("--from <date>", "First day, as an ISO date (default today)")
+  .option("--to <date>", "Last day, as an ISO date (default --from)")
+  .option(
+    "--tz <timeZone>",
+    "Time zone the dates are days in",
+    process.env.GENERATE_TZ || "Australia/Brisbane",
+  )
+  .option("--layout <layout>", "long (one row per value) or wide", "long")
+  .option("-o, --output <filename>", "Where to write the CSV", "export.csv")
+  .action(async (options) => {
+    const { default: exportCsv } = await import("./src/export.js");
+    await exportCsv(options);
+  });
+
 program
   .command("upload-s3")
   .description("Upload files to S3")
@@ -79,6 +406,7 @@ program
     process.env.S3_SRC || "data/",
   )
   .option("-d, --dest <destDir>", "destination directory", process.env.S3_DEST)
+  .option("-f, --force", "Upload every file, even if unchanged")
   .action(async (options) => {
     const { default: uploadS3 } = await import("./src/upload-s3.mjs");
     await uploadS3(options);
@@ -0,0 +1,110 @@
+/**
+ * @file
+ * Reduce a dataset's [minuteOffset, value] series to hourly or daily buckets.
+ */
+import { RAIN_INTERVAL_COLUMN } from "./rainfall.js";
+
+/** Bucket sizes in minutes */
+export const AGGREGATE_BUCKETS = {
+  hour: 60,
+  day: 24 * 60,
+};
+
+const STATS = {
+  min: (values) => Math.min(...values),
+  max: (values) => Math.max(...values),
+  mean: (values) => values.reduce((sum, v) => sum + v, 0) / values.length,
+  sum: (values) => values.reduce((sum, v) => sum + v, 0),
+  last: (values) => values[values.length - 1],
+};
+
+export const AGGREGATE_STATS = Object.keys(STATS);
+
+/**
+ * Columns that accumulate through the day and reset, and the derived column
+ * with the increase between readings. Summing one of them means summing its
+ * intervals rather than the running totals.
+ */
+export const ACCUMULATOR_COLUMNS = {
+  precipitationSince9amMM: RAIN_INTERVAL_COLUMN,
+};
+
+/**
+ * The column to generate for an aggregate of `column`
+ * @param {string} column
+ * @param {{stat: string}} aggregate
+ */
+export function getAggregateColumn(column, { stat }) {
+  return (stat === "sum" && ACCUMULATOR_COLUMNS[column]) || column;
+}
+
+const round = (value) =>
+  typeof value === "number" ? Math.round(value * 100) / 100 : value;
+
+/**
+ * Reduce values to one with a stat, rounded like aggregateSeries
+ * @param {"min"|"max"|"mean"|"sum"|"last"} stat
+ * @param {number[]} values
+ */
+export function applyStat(stat, values) {
+  return round(STATS[stat](values));
+}
+
+/**
+ * Check an aggregate option before any work is done
+ * @param {{bucket: string, stat: string}} aggregate
+ */
+export function validateAggregate({ bucket, stat }) {
+  if (!AGGREGATE_BUCKETS[bucket]) {
+    throw new Error(
+      `Invalid aggregate bucket "${bucket}". Valid choices are: ${Object.keys(AGGREGATE_BUCKETS).join(", ")}`,
+    );
+  }
+  validateStat(stat);
+}
+
+/**
+ * @param {string} stat
+ * @throws {Error} Listing the valid choices if it isn't one of AGGREGATE_STATS
+ */
+export function validateStat(stat) {
+  if (!STATS[stat]) {
+    throw new Error(
+      `Invalid aggregate stat "${stat}". Valid choices are: ${AGGREGATE_STATS.join(", ")}`,
+    );
+  }
+}
+
+/**
+ * Aggregate every location's series into buckets. Each bucket is reported at
+ * the minute offset it starts at, so the output has the same
+ * [minuteOffset, value] shape as the input.
+ *
+ * @param {Object<string, [number, any][]>} series
+ * @param {Object} options
+ * @param {"hour"|"day"} options.bucket
+ * @param {"min"|"max"|"mean"|"sum"|"last"} options.stat
+ * @returns {Object<string, [number, any][]>}
+ */
+export function aggregateSeries(series, { bucket, stat }) {
+  validateAggregate({ bucket, stat });
+  const size = AGGREGATE_BUCKETS[bucket];
+
+  const result = {};
+  for (const [auroraId, points] of Object.entries(series)) {
+    const buckets = new Map();
+    for (const [x, value] of points) {
+      const bucketStart = Math.floor(x / size) * size;
+      if (!buckets.has(bucketStart)) {
+        buckets.set(bucketStart, []);
+      }
+      buckets.get(bucketStart).push(value);
+    }
+
+    result[auroraId] = [...buckets].map(([bucketStart, values]) => [
+      bucketStart,
+      applyStat(stat, values),
+    ]);
+  }
+  return result;
+}
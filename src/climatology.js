@@ -0,0 +1,327 @@
+/**
+ * @file
+ * Climatology baselines and anomalies. `build-climatology` summarises every
+ * observation in weather.sqlite by station, column, local day of the year and
+ * local hour, so generated datasets can show how unusual each reading is
+ * rather than its raw value.
+ *
+ * A few years of data only gives a handful of readings for any one day and
+ * hour, so each reading also counts towards the days within `window` days of
+ * its own.
+ */
+import {
+  CLIMATOLOGY_SCHEMA_MAPPING,
+  CLIMATOLOGY_TABLE_NAME,
+} from "./migrations/08-create-climatology.js";
+import { TABLE_NAME } from "./migrations/01-create-weather_data.js";
+import {
+  deriveColumns,
+  getSourceColumns,
+  hasValueSql,
+  validateColumns,
+} from "./columns.js";
+import { initializeDatabase } from "./sqlite.js";
+import { parseOffsetMinutes } from "./utils.aurora-dates.js";
+import logger from "./logger.js";
+
+/** The percentiles stored for each day and hour, as columns p0 … p100 */
+export const CLIMATOLOGY_PERCENTILES = [0, 5, 10, 25, 50, 75, 90, 95, 100];
+
+export const ANOMALY_MODES = ["departure", "percentile"];
+
+export const DEFAULT_CLIMATOLOGY_WINDOW = 7;
+
+/** Days and hours with fewer readings than this are left out of the baseline */
+export const DEFAULT_MIN_COUNT = 20;
+
+const DAYS_IN_YEAR = 365;
+
+/** Day of the year each month starts on, in a non-leap year */
+const MONTH_STARTS = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+
+/**
+ * @param {string} mode
+ * @throws {Error} If it isn't one of ANOMALY_MODES
+ */
+export function validateAnomalyMode(mode) {
+  if (!ANOMALY_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid anomaly mode "${mode}". Valid choices are: ${ANOMALY_MODES.join(", ")}`,
+    );
+  }
+}
+
+/**
+ * The station's local day of the year and hour for a row, from the UTC
+ * offset in its endTime. 29 February counts as the 28th, so every year has
+ * 365 days.
+ * @param {{generationEpoch: number, endTime: string|null}} row
+ * @returns {{dayOfYear: number, hour: number}|null} Null without an offset
+ */
+export function localDayAndHour(row) {
+  const offset = parseOffsetMinutes(row.endTime);
+  if (offset === null) {
+    return null;
+  }
+  const local = new Date((row.generationEpoch + offset * 60) * 1000);
+  return { dayOfYear: dayOfYear(local), hour: local.getUTCHours() };
+}
+
+/**
+ * @param {Date} date - Read in UTC
+ * @returns {number} 1-365, with 29 February counted as the 28th
+ */
+function dayOfYear(date) {
+  const month = date.getUTCMonth();
+  return (
+    MONTH_STARTS[month] + Math.min(date.getUTCDate(), month === 1 ? 28 : 31)
+  );
+}
+
+/**
+ * Linear interpolation between the closest ranks, like Excel's PERCENTILE.INC
+ * @param {number[]} sorted - Ascending
+ * @param {number} p - 0 to 100
+ */
+export function percentile(sorted, p) {
+  const index = ((sorted.length - 1) * p) / 100;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * @typedef {Object} Baseline
+ * @property {number} count
+ * @property {number} mean
+ * @property {number} p0 - And p5, p10 … p100, per CLIMATOLOGY_PERCENTILES
+ */
+
+/**
+ * @param {number[]} values
+ * @returns {Baseline}
+ */
+export function summarise(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    count: sorted.length,
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    ...Object.fromEntries(
+      CLIMATOLOGY_PERCENTILES.map((p) => [
+        `p${p}`,
+        round(percentile(sorted, p)),
+      ]),
+    ),
+  };
+}
+
+/**
+ * Where a value falls in a baseline, interpolating between the stored
+ * percentiles
+ * @param {number} value
+ * @param {Baseline} baseline
+ * @returns {number} 0 to 100
+ */
+export function percentileRank(value, baseline) {
+  const knots = CLIMATOLOGY_PERCENTILES.map((p) => [p, baseline[`p${p}`]]);
+
+  // Several percentiles can share a value, so use the middle of the run of
+  // knots equal to it
+  const equal = knots.filter(([, knot]) => knot === value);
+  if (equal.length) {
+    return (equal[0][0] + equal.at(-1)[0]) / 2;
+  }
+  if (value < knots[0][1]) return 0;
+  if (value > knots.at(-1)[1]) return 100;
+  const i = knots.findIndex(([, knot]) => knot > value);
+  const [p0, v0] = knots[i - 1];
+  const [p1, v1] = knots[i];
+  return p0 + ((p1 - p0) * (value - v0)) / (v1 - v0);
+}
+
+/**
+ * An observation's anomaly against its baseline, rounded for output
+ * @param {number} value
+ * @param {Baseline} baseline
+ * @param {"departure"|"percentile"} mode
+ */
+export function anomalyValue(value, baseline, mode) {
+  return mode === "percentile"
+    ? Math.round(percentileRank(value, baseline) * 10) / 10
+    : Math.round((value - baseline.mean) * 100) / 100;
+}
+
+/**
+ * Group one station's values by day of the year and hour, counting each value
+ * towards every day within `window` days of its own
+ * @param {Object[]} rows - With generationEpoch and endTime
+ * @param {Map<Object, number>} values - Each row's value
+ * @param {number} window
+ * @returns {Map<number, number[]>} Values keyed by dayOfYear * 24 + hour
+ */
+export function binValues(rows, values, window) {
+  const bins = new Map();
+  for (const row of rows) {
+    const value = values.get(row);
+    const time = typeof value === "number" && localDayAndHour(row);
+    if (!time) continue;
+    for (let offset = -window; offset <= window; offset++) {
+      const dayOfYear =
+        ((time.dayOfYear - 1 + offset + DAYS_IN_YEAR) % DAYS_IN_YEAR) + 1;
+      const key = dayOfYear * 24 + time.hour;
+      if (!bins.has(key)) bins.set(key, []);
+      bins.get(key).push(value);
+    }
+  }
+  return bins;
+}
+
+/**
+ * Rebuild the climatology table for some columns from every observation in
+ * the database, one station at a time to keep memory down
+ *
+ * @param {Object} options
+ * @param {string[]} [options.columns]
+ * @param {number} [options.window] - Days either side to include
+ * @param {number} [options.minCount]
+ * @returns {Promise<{stations: number, baselines: number}>}
+ */
+export async function buildClimatology({
+  columns: requestedColumns = ["tempC"],
+  window = DEFAULT_CLIMATOLOGY_WINDOW,
+  minCount = DEFAULT_MIN_COUNT,
+} = {}) {
+  const columns = validateColumns(requestedColumns);
+  if (!Number.isInteger(window) || window < 0 || window > 30) {
+    throw new Error(`Invalid window "${window}". Use 0 to 30 days.`);
+  }
+  const db = await initializeDatabase();
+  const auroraIds = db
+    .prepare(`SELECT DISTINCT auroraId FROM ${TABLE_NAME}`)
+    .all()
+    .map((row) => row.auroraId);
+
+  const readRows = db.prepare(`
+SELECT auroraId, generationEpoch, endTime, ${getSourceColumns(columns).join(", ")}
+FROM ${TABLE_NAME}
+WHERE auroraId = ? AND endTime IS NOT NULL
+AND (${columns.map(hasValueSql).join(" OR ")})
+ORDER BY generationEpoch ASC`);
+  const deleteBaselines = db.prepare(
+    `DELETE FROM ${CLIMATOLOGY_TABLE_NAME} WHERE auroraId = ? AND columnName = ?`,
+  );
+  const columnNames = Object.keys(CLIMATOLOGY_SCHEMA_MAPPING);
+  const insertBaseline = db.prepare(`
+INSERT INTO ${CLIMATOLOGY_TABLE_NAME} (${columnNames.join(", ")})
+VALUES (${columnNames.map(() => "?").join(", ")})`);
+
+  const builtAt = new Date().toISOString();
+  let baselines = 0;
+  for (const auroraId of auroraIds) {
+    const rows = readRows.all(auroraId);
+    const derived = deriveColumns(columns, rows);
+
+    db.exec("BEGIN");
+    try {
+      for (const column of columns) {
+        const values =
+          derived[column] ??
+          new Map(rows.map((row) => [row, row[column] ?? null]));
+        deleteBaselines.run(auroraId, column);
+        for (const [key, bin] of binValues(rows, values, window)) {
+          if (bin.length < minCount) continue;
+          const baseline = {
+            auroraId,
+            columnName: column,
+            dayOfYear: Math.floor(key / 24),
+            hour: key % 24,
+            ...summarise(bin),
+            builtAt,
+          };
+          insertBaseline.run(...columnNames.map((name) => baseline[name]));
+          baselines++;
+        }
+      }
+      db.exec("COMMIT");
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    }
+    logger.debug(
+      "Built climatology for %s from %d rows",
+      auroraId,
+      rows.length,
+    );
+  }
+
+  logger.info(
+    "Built %d baselines for %s across %d stations (±%d days, at least %d readings)",
+    baselines,
+    columns.join(", "),
+    auroraIds.length,
+    window,
+    minCount,
+  );
+  return { stations: auroraIds.length, baselines };
+}
+
+/**
+ * Every day of the year a station's local time could fall on between two
+ * instants, allowing for offsets of up to a day either way
+ * @param {number} startSeconds
+ * @param {number} endSeconds
+ * @returns {number[]}
+ */
+export function daysOfYearBetween(startSeconds, endSeconds) {
+  const DAY = 24 * 60 * 60;
+  const days = new Set();
+  for (let t = startSeconds - DAY; t < endSeconds + 2 * DAY; t += DAY) {
+    days.add(dayOfYear(new Date(Math.min(t, endSeconds + DAY) * 1000)));
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Look up baselines for some columns and days of the year, keyed by
+ * baselineKey
+ * @param {import('node:sqlite').DatabaseSync} db
+ * @param {string[]} columns - Already validated
+ * @param {number[]} daysOfYear - See daysOfYearBetween
+ * @returns {Map<string, Baseline>}
+ */
+export function readBaselines(db, columns, daysOfYear) {
+  const placeholders = (values) => values.map(() => "?").join(", ");
+  const rows = db
+    .prepare(
+      `
+SELECT * FROM ${CLIMATOLOGY_TABLE_NAME}
+WHERE columnName IN (${placeholders(columns)})
+AND dayOfYear IN (${placeholders(daysOfYear)})`,
+    )
+    .all(...columns, ...daysOfYear);
+  return new Map(
+    rows.map((row) => [
+      baselineKey(row.auroraId, row.columnName, row.dayOfYear, row.hour),
+      row,
+    ]),
+  );
+}
+
+/**
+ * @param {string} auroraId
+ * @param {string} column
+ * @param {number} dayOfYear
+ * @param {number} hour
+ */
+export function baselineKey(auroraId, column, dayOfYear, hour) {
+  return `${auroraId}/${column}/${dayOfYear}/${hour}`;
+}
+
+export default async function buildClimatologyCommand(options) {
+  return buildClimatology({
+    columns: options.columns.split(","),
+    window: Number(options.window),
+    minCount: Number(options.minCount),
+  });
+}
@@ -0,0 +1,79 @@
+/**
+ * @file
+ * A more compact encoding for the time-series assets. Instead of repeating
+ * every auroraId key and a nested [minute, value] array per sample, each file
+ * has flat columns:
+ *
+ * - `ids`: each location's position in location-index.json, which is shared
+ *   by every file and only ever appended to
+ * - `counts`: how many samples each location has
+ * - `x`, `y`: every location's minutes and values, one location after the
+ *   other. Values are quantised to integers at the column's precision, and
+ *   both are delta encoded, restarting at each location, so most entries are
+ *   small numbers that compress well.
+ *
+ * decode-columnar.js turns them back into the JSON format.
+ */
+import { COLUMNAR_ENCODING } from "./decode-columnar.js";
+
+export const LOCATION_INDEX_FILENAME = "location-index.json";
+
+/**
+ * Add any new locations to the end of the index, so existing positions (and
+ * the files that use them) stay valid
+ * @param {string[]} locationIndex
+ * @param {string[]} auroraIds
+ * @returns {string[]} A new index
+ */
+export function extendLocationIndex(locationIndex, auroraIds) {
+  const known = new Set(locationIndex);
+  const added = [...new Set(auroraIds)]
+    .filter((auroraId) => !known.has(auroraId))
+    .sort();
+  return [...locationIndex, ...added];
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number[]} The first value, then the change from each to the next
+ */
+function delta(values) {
+  return values.map((value, i) => (i ? value - values[i - 1] : value));
+}
+
+/**
+ * @param {Object} dataset - As returned by getTimeSeriesForColumns
+ * @param {Object} options
+ * @param {string[]} options.locationIndex - Must include every location in
+ * the dataset (see extendLocationIndex)
+ * @param {number} options.precision - Decimal places to keep
+ */
+export function encodeColumnar(dataset, { locationIndex, precision }) {
+  const { series, ...metadata } = dataset;
+  const positions = new Map(locationIndex.map((auroraId, i) => [auroraId, i]));
+  const scale = 10 ** precision;
+  const columns = { ids: [], counts: [], x: [], y: [] };
+
+  const entries = Object.entries(series).sort(
+    ([a], [b]) => positions.get(a) - positions.get(b),
+  );
+  for (const [auroraId, points] of entries) {
+    if (!positions.has(auroraId)) {
+      throw new Error(`${auroraId} is not in the location index`);
+    }
+    const values = points.map(([, value]) => {
+      if (typeof value !== "number") {
+        throw new Error(
+          `Columnar output only supports numbers, got ${JSON.stringify(value)}`,
+        );
+      }
+      return Math.round(value * scale);
+    });
+    columns.ids.push(positions.get(auroraId));
+    columns.counts.push(points.length);
+    columns.x.push(...delta(points.map(([x]) => x)));
+    columns.y.push(...delta(values));
+  }
+
+  return { ...metadata, encoding: COLUMNAR_ENCODING, precision, columns };
+}
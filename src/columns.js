@@ -0,0 +1,273 @@
+/**
+ * @file
+ * The weather_data columns that can be turned into datasets. Column names end
+ * up in SQL, so anything from the CLI or environment must be checked here
+ * first.
+ *
+ * As well as the stored columns there are derived columns, computed from
+ * stored ones at generation time.
+ */
+import {
+  SCHEMA_MAPPING,
+  TABLE_NAME,
+} from "./migrations/01-create-weather_data.js";
+import { RAIN_INTERVAL_COLUMN, rainIntervalValues } from "./rainfall.js";
+import {
+  apparentTemperature,
+  celsiusToFahrenheit,
+  heatIndex,
+  kmhToMs,
+  vapourPressureDeficit,
+  windComponents,
+} from "./meteorology.js";
+
+/** Bookkeeping columns that are never useful as a dataset */
+const EXCLUDED_COLUMNS = [
+  "auroraId",
+  "fetchTime",
+  "generationEpoch",
+  "qcFlags",
+];
+
+/**
+ * @typedef {Object} DerivedColumn
+ * @property {string} type - As if it were stored, e.g. "REAL"
+ * @property {string[]} sources - Stored columns it's computed from
+ * @property {number} [lookbackSeconds] - How far before the requested range
+ * to read, for columns that depend on earlier observations
+ * @property {(rows: Object[]) => Map<Object, any>} derive - Given rows with
+ * `auroraId`, `generationEpoch` and the sources, in chronological order,
+ * return the value for each row that has one
+ */
+
+/**
+ * A derived column computed from each row's own source values, with
+ * `formula` called with the sources in order. Rows missing any source have no
+ * value.
+ * @param {string[]} sources
+ * @param {(...values: number[]) => number} formula
+ * @returns {DerivedColumn}
+ */
+function rowFormula(sources, formula) {
+  return {
+    type: "REAL",
+    sources,
+    derive: (rows) => {
+      const values = new Map();
+      for (const row of rows) {
+        const inputs = sources.map((source) => row[source]);
+        if (inputs.every((input) => typeof input === "number")) {
+          // + 0 turns -0 (e.g. the u of a northerly) into 0
+          values.set(row, Math.round(formula(...inputs) * 100) / 100 + 0);
+        }
+      }
+      return values;
+    },
+  };
+}
+
+/** @type {Object<string, DerivedColumn>} */
+export const DERIVED_COLUMNS = {
+  [RAIN_INTERVAL_COLUMN]: {
+    type: "REAL",
+    sources: ["endTime", "precipitationSince9amMM"],
+    // Enough to find the previous reading across a missed run or two
+    lookbackSeconds: 6 * 60 * 60,
+    derive: rainIntervalValues,
+  },
+  tempF: rowFormula(["tempC"], celsiusToFahrenheit),
+  averageWindSpeedMs: rowFormula(["averageWindSpeedKm"], kmhToMs),
+  gustMs: rowFormula(["gustKmh"], kmhToMs),
+  maximumGustMs: rowFormula(["maximumGustKmh"], kmhToMs),
+  heatIndexC: rowFormula(["tempC", "relativeHumidityPct"], heatIndex),
+  // Recomputed from our own inputs, unlike Aurora's feelsLikeTempC
+  apparentTempC: rowFormula(
+    ["tempC", "relativeHumidityPct", "averageWindSpeedKm"],
+    (tempC, humidity, windKmh) =>
+      apparentTemperature(tempC, humidity, kmhToMs(windKmh)),
+  ),
+  vpdKPa: rowFormula(["tempC", "relativeHumidityPct"], vapourPressureDeficit),
+  // Eastward and northward components of the average wind, in m/s
+  windUMs: rowFormula(
+    ["averageWindSpeedKm", "windDirDeg"],
+    (windKmh, direction) => windComponents(kmhToMs(windKmh), direction).u,
+  ),
+  windVMs: rowFormula(
+    ["averageWindSpeedKm", "windDirDeg"],
+    (windKmh, direction) => windComponents(kmhToMs(windKmh), direction).v,
+  ),
+};
+
+/**
+ * Decimal places each column is measured to, for quantising values in compact
+ * outputs. Columns not listed keep DEFAULT_PRECISION.
+ */
+const COLUMN_PRECISION = {
+  averageWindSpeedKm: 0,
+  maximumGustKmh: 0,
+  gustKmh: 0,
+  relativeHumidityPct: 0,
+  windDirDeg: 0,
+  cloudOktas: 1,
+  averageWindSpdKnots: 0,
+  maximumGustSpdKnots: 0,
+  windGustSpdKnots: 0,
+  tempC: 1,
+  dewPointC: 1,
+  feelsLikeTempC: 1,
+  wetBulbTemp: 1,
+  maximumTempC: 1,
+  minimumTempC: 1,
+  pressure: 1,
+  pressureMSLP: 1,
+  qnhPressure: 1,
+  precipitationSince9amMM: 1,
+  rainfall24hr: 1,
+  rainHour: 1,
+  rainTen: 1,
+  visibilityKm: 1,
+  tempF: 1,
+  averageWindSpeedMs: 1,
+  gustMs: 1,
+  maximumGustMs: 1,
+  heatIndexC: 1,
+  apparentTempC: 1,
+  windUMs: 1,
+  windVMs: 1,
+};
+const DEFAULT_PRECISION = 2;
+
+/**
+ * @param {string} column
+ * @returns {number} Decimal places
+ */
+export function getColumnPrecision(column) {
+  return COLUMN_PRECISION[column] ?? DEFAULT_PRECISION;
+}
+
+/**
+ * The SQLite type of a column, e.g. "REAL" or "TEXT"
+ * @param {string} column
+ */
+export function getColumnType(column) {
+  if (DERIVED_COLUMNS[column]) {
+    return DERIVED_COLUMNS[column].type;
+  }
+  return SCHEMA_MAPPING[column]?.split(" ")[0].toUpperCase();
+}
+
+/**
+ * @param {{allowText?: boolean}} [options] - Include TEXT columns, which are
+ * excluded by default because they can't be charted or aggregated
+ * @returns {string[]}
+ */
+export function getColumnChoices({ allowText = false } = {}) {
+  return [
+    ...Object.keys(SCHEMA_MAPPING),
+    ...Object.keys(DERIVED_COLUMNS),
+  ].filter(
+    (column) =>
+      !EXCLUDED_COLUMNS.includes(column) &&
+      (allowText || getColumnType(column) === "REAL"),
+  );
+}
+
+/**
+ * Check requested columns against SCHEMA_MAPPING
+ * @param {string[]} columns
+ * @param {{allowText?: boolean}} [options]
+ * @returns {string[]} The columns, trimmed
+ * @throws {Error} Listing the valid choices if any column isn't one of them
+ */
+export function validateColumns(columns, options = {}) {
+  const choices = getColumnChoices(options);
+  const trimmed = columns.map((column) => String(column).trim());
+  const invalid = trimmed.filter((column) => !choices.includes(column));
+  if (invalid.length) {
+    throw new Error(
+      `Invalid column${invalid.length > 1 ? "s" : ""} ${invalid
+        .map((column) => JSON.stringify(column))
+        .join(", ")}. Valid choices are: ${choices.join(", ")}`,
+    );
+  }
+  return trimmed;
+}
+
+/**
+ * The stored columns to read for some dataset columns, with each derived
+ * column replaced by its sources
+ * @param {string[]} columns - Already validated
+ * @returns {string[]}
+ */
+export function getSourceColumns(columns) {
+  return [
+    ...new Set(
+      columns.flatMap((column) => DERIVED_COLUMNS[column]?.sources ?? column),
+    ),
+  ];
+}
+
+/**
+ * SQL condition for a row having a value for a column, or for all of a derived
+ * column's sources
+ * @param {string} column - Already validated
+ */
+export function hasValueSql(column) {
+  const sources = DERIVED_COLUMNS[column]?.sources ?? [column];
+  const conditions = sources.map((source) => `${source} IS NOT NULL`);
+  return conditions.length > 1
+    ? `(${conditions.join(" AND ")})`
+    : conditions[0];
+}
+
+/**
+ * How far before a time range to read, so derived columns can see the
+ * observations before it
+ * @param {string[]} columns
+ */
+export function getLookbackSeconds(columns) {
+  return Math.max(
+    0,
+    ...columns.map((column) => DERIVED_COLUMNS[column]?.lookbackSeconds ?? 0),
+  );
+}
+
+/**
+ * Compute the derived columns among `columns` for the rows read
+ * @param {string[]} columns
+ * @param {Object[]} rows - Including every source column, in chronological
+ * order for each station
+ * @returns {Object<string, Map<Object, any>>} Values by column, then row
+ */
+export function deriveColumns(columns, rows) {
+  return Object.fromEntries(
+    columns
+      .filter((column) => DERIVED_COLUMNS[column])
+      .map((column) => [column, DERIVED_COLUMNS[column].derive(rows)]),
+  );
+}
+
+/**
+ * Count how many rows have a value for each column. Derived columns count the
+ * rows that have all of their sources.
+ * @param {import('node:sqlite').DatabaseSync} db
+ * @returns {{column: string, type: string, count: number, total: number}[]}
+ */
+export function getColumnCoverage(db, { allowText = true } = {}) {
+  const columns = getColumnChoices({ allowText });
+  const countSql = (column) =>
+    DERIVED_COLUMNS[column]
+      ? `COUNT(CASE WHEN ${hasValueSql(column)} THEN 1 END) AS ${column}`
+      : `COUNT(${column}) AS ${column}`;
+  const counts = db
+    .prepare(
+      `SELECT COUNT(*) AS total, ${columns.map(countSql).join(", ")} FROM ${TABLE_NAME}`,
+    )
+    .get();
+  return columns.map((column) => ({
+    column,
+    type: getColumnType(column),
+    count: counts[column],
+    total: counts.total,
+  }));
+}
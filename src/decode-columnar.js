@@ -0,0 +1,50 @@
+/**
+ * @file
+ * Decode a columnar dataset (see columnar.js) back into the
+ * `{ series: { [auroraId]: [[minute, value], …] } }` shape of the JSON assets.
+ *
+ * This module has no dependencies so it can be copied into whatever reads the
+ * assets.
+ */
+
+export const COLUMNAR_ENCODING = "columnar-v1";
+
+/**
+ * Undo delta encoding: each value after the first is stored as the change
+ * from the one before
+ * @param {number[]} deltas
+ */
+function undelta(deltas) {
+  let previous = 0;
+  return deltas.map((delta) => (previous += delta));
+}
+
+/**
+ * @param {Object} encoded - A parsed columnar file
+ * @param {string[]} locationIndex - The parsed location-index.json it was
+ * written with
+ * @returns {Object} The dataset, with `series` keyed by auroraId
+ */
+export function decodeColumnar(encoded, locationIndex) {
+  const { encoding, precision, columns, ...metadata } = encoded;
+  if (encoding !== COLUMNAR_ENCODING) {
+    throw new Error(`Unsupported encoding "${encoding}"`);
+  }
+
+  const scale = 10 ** precision;
+  const series = {};
+  let offset = 0;
+  columns.ids.forEach((id, i) => {
+    const auroraId = locationIndex[id];
+    if (auroraId === undefined) {
+      throw new Error(`Location ${id} is not in the location index`);
+    }
+    const end = offset + columns.counts[i];
+    const xs = undelta(columns.x.slice(offset, end));
+    const ys = undelta(columns.y.slice(offset, end));
+    series[auroraId] = xs.map((x, j) => [x, ys[j] / scale]);
+    offset = end;
+  });
+
+  return { ...metadata, series };
+}
@@ -0,0 +1,174 @@
+/**
+ * @file
+ * Find holes in weather_data where consecutive observations for a location are
+ * further apart than the expected cadence, and optionally backfill them from
+ * Aurora's history.
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import { eachLimit } from "async";
+import { formatInTimeZone } from "date-fns-tz";
+import { TABLE_NAME } from "./migrations/01-create-weather_data.js";
+import { DEFAULT_TZ, validateTimeZone } from "./generate-dataset.js";
+import { closeDatabase, initializeDatabase } from "./sqlite.js";
+import { fetchWeatherForLocation } from "./fetch-weather-cron.js";
+import { graphqlQuery } from "./graphql.js";
+import logger from "./logger.js";
+
+const __dirname = path.dirname(new URL(import.meta.url).pathname);
+
+/** Aurora observations arrive every 10 minutes, so allow a couple to go missing */
+export const DEFAULT_MAX_GAP_MINUTES = 30;
+
+/** How far back Aurora's detailedHistoricConditions can reasonably reach */
+export const DEFAULT_MAX_REFETCH_HOURS = 48;
+
+/**
+ * Find spans between consecutive observations that exceed the cadence.
+ * @param {{auroraId: string, generationTime: string}[]} rows - Sorted by
+ * auroraId, then chronologically.
+ * @param {number} [maxGapMinutes]
+ * @returns {{auroraId: string, start: string, end: string, minutes: number}[]}
+ */
+export function findGaps(rows, maxGapMinutes = DEFAULT_MAX_GAP_MINUTES) {
+  const gaps = [];
+  for (let i = 1; i < rows.length; i++) {
+    const prev = rows[i - 1];
+    const row = rows[i];
+    if (prev.auroraId !== row.auroraId) {
+      continue;
+    }
+    const minutes = Math.round(
+      (new Date(row.generationTime) - new Date(prev.generationTime)) / 60000,
+    );
+    if (minutes > maxGapMinutes) {
+      gaps.push({
+        auroraId: row.auroraId,
+        start: prev.generationTime,
+        end: row.generationTime,
+        minutes,
+      });
+    }
+  }
+  return gaps;
+}
+
+/**
+ * Group gaps by location, then by the day the gap started.
+ * @param {ReturnType<typeof findGaps>} gaps
+ * @param {string} [timeZone] - Whose days to use, the same as generate-dataset
+ * @returns {Object<string, Object<string, {count: number, minutes: number}>>}
+ */
+export function groupGapsByDay(gaps, timeZone = DEFAULT_TZ) {
+  const report = {};
+  for (const gap of gaps) {
+    const day = formatInTimeZone(new Date(gap.start), timeZone, "yyyy-MM-dd");
+    report[gap.auroraId] ??= {};
+    report[gap.auroraId][day] ??= { count: 0, minutes: 0 };
+    report[gap.auroraId][day].count++;
+    report[gap.auroraId][day].minutes += gap.minutes;
+  }
+  return report;
+}
+
+export default async function detectGaps({
+  geojsonPath = path.resolve(__dirname, "../data/au.geo.json"),
+  databasePath,
+  queryFn = graphqlQuery,
+  days = 14,
+  maxGap = DEFAULT_MAX_GAP_MINUTES,
+  refetch = false,
+  maxHours = DEFAULT_MAX_REFETCH_HOURS,
+  tz = DEFAULT_TZ,
+} = {}) {
+  validateTimeZone(tz);
+  const db = await initializeDatabase(databasePath, geojsonPath);
+
+  const since = Math.round(Date.now() / 1000) - Number(days) * 24 * 60 * 60;
+  // generationEpoch is indexed, unlike unixepoch(generationTime)
+  const rows = db
+    .prepare(
+      `
+      SELECT auroraId, generationTime
+      FROM ${TABLE_NAME}
+      WHERE generationEpoch >= ?
+      ORDER BY auroraId ASC, generationEpoch ASC
+    `,
+    )
+    .all(since);
+
+  const gaps = findGaps(rows, Number(maxGap));
+  const report = groupGapsByDay(gaps, tz);
+
+  const geojson = JSON.parse(await fs.readFile(geojsonPath, "utf8"));
+  const features = new Map(
+    geojson.features
+      .filter((feature) => feature.properties.auroraId)
+      .map((feature) => [feature.properties.auroraId, feature]),
+  );
+
+  logger.info(
+    "Found %d gaps over %d minutes across %d locations in the last %d days",
+    gaps.length,
+    Number(maxGap),
+    Object.keys(report).length,
+    Number(days),
+  );
+  for (const [auroraId, byDay] of Object.entries(report)) {
+    const name = features.get(auroraId)?.properties.name || "Unknown";
+    logger.info("%s (%s)", name, auroraId);
+    for (const [day, { count, minutes }] of Object.entries(byDay)) {
+      logger.info("  %s: %d gaps, %d minutes missing", day, count, minutes);
+    }
+  }
+
+  const results = [];
+  if (refetch && gaps.length) {
+    // One request per location, reaching back far enough to cover its oldest gap
+    const oldestGap = {};
+    for (const gap of gaps) {
+      const start = new Date(gap.start).getTime();
+      oldestGap[gap.auroraId] = Math.min(
+        oldestGap[gap.auroraId] ?? Infinity,
+        start,
+      );
+    }
+
+    await eachLimit(Object.entries(oldestGap), 3, async ([auroraId, start]) => {
+      const feature = features.get(auroraId);
+      if (!feature) {
+        logger.warn("Skipping %s: not in %s", auroraId, geojsonPath);
+        return;
+      }
+      const neededHours = Math.ceil((Date.now() - start) / (60 * 60 * 1000));
+      if (neededHours > maxHours) {
+        logger.warn(
+          "Gaps for %s go back %d hours; only the last %d can be refetched",
+          auroraId,
+          neededHours,
+          maxHours,
+        );
+      }
+      const hours = Math.min(neededHours, Number(maxHours));
+      const result = await fetchWeatherForLocation(feature, queryFn, {
+        hours,
+        backfill: true,
+      }).catch((e) => {
+        logger.error("Failed to refetch %s: %s", auroraId, e.message);
+      });
+      if (result) {
+        logger.info(
+          "Refetched %s (%s) over %d hours: %d new rows",
+          feature.properties.name,
+          auroraId,
+          hours,
+          result.inserted,
+        );
+        results.push({ auroraId, hours, ...result });
+      }
+    });
+  }
+
+  closeDatabase();
+  return { gaps, report, refetched: results };
+}
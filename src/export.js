@@ -0,0 +1,207 @@
+/**
+ * @file
+ * Export observations to CSV for spreadsheets: chosen locations, columns and
+ * dates, with each station's name, state and coordinates, and both UTC and
+ * local timestamps.
+ *
+ * "long" has one row per value (column, value); "wide" has one row per
+ * observation with a field for each column.
+ */
+import fs from "node:fs";
+import { once } from "node:events";
+import path from "node:path";
+import { TABLE_NAME } from "./migrations/01-create-weather_data.js";
+import {
+  deriveColumns,
+  getLookbackSeconds,
+  getSourceColumns,
+  hasValueSql,
+  validateColumns,
+} from "./columns.js";
+import {
+  DEFAULT_TZ,
+  getDayBoundaries,
+  todayIn,
+  validateDate,
+  validateTimeZone,
+} from "./generate-dataset.js";
+import { readLocations, selectLocations } from "./locations.js";
+import { closeDatabase, initializeDatabase } from "./sqlite.js";
+import logger from "./logger.js";
+
+export const EXPORT_LAYOUTS = ["long", "wide"];
+
+const LOCATION_FIELDS = ["auroraId", "name", "state", "latitude", "longitude"];
+const TIME_FIELDS = ["timeUTC", "timeLocal"];
+
+/**
+ * Quote a CSV field if it needs it (RFC 4180)
+ * @param {any} value
+ */
+export function csvField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+const csvLine = (fields) => fields.map(csvField).join(",") + "\n";
+
+/**
+ * Turn observations into CSV lines
+ * @param {Object[]} observations - With the location fields, timeUTC,
+ * timeLocal and a property for each column
+ * @param {string[]} columns
+ * @param {"long"|"wide"} layout
+ * @returns {Generator<string>} The header, then one line per row
+ */
+export function* csvLines(observations, columns, layout) {
+  if (layout === "wide") {
+    yield csvLine([...LOCATION_FIELDS, ...TIME_FIELDS, ...columns]);
+    for (const observation of observations) {
+      yield csvLine(
+        [...LOCATION_FIELDS, ...TIME_FIELDS, ...columns].map(
+          (field) => observation[field],
+        ),
+      );
+    }
+    return;
+  }
+
+  yield csvLine([...LOCATION_FIELDS, ...TIME_FIELDS, "column", "value"]);
+  for (const observation of observations) {
+    const prefix = [...LOCATION_FIELDS, ...TIME_FIELDS].map(
+      (field) => observation[field],
+    );
+    for (const column of columns) {
+      if (observation[column] !== null && observation[column] !== undefined) {
+        yield csvLine([...prefix, column, observation[column]]);
+      }
+    }
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} [options.output] - CSV file to write
+ * @param {string} [options.locations] - Comma separated Aurora IDs, station
+ * names or states. Every location if empty.
+ * @param {string} [options.columns] - Comma separated
+ * @param {string} [options.from] - First day, as an ISO date (default today)
+ * @param {string} [options.to] - Last day, as an ISO date (default --from)
+ * @param {string} [options.tz] - Time zone the dates are days in
+ * @param {"long"|"wide"} [options.layout]
+ * @returns {Promise<{rows: number, lines: number}>}
+ */
+export default async function exportCsv({
+  output = "export.csv",
+  locations: locationSelectors = "",
+  columns: requestedColumns = "tempC",
+  from,
+  to,
+  tz = DEFAULT_TZ,
+  layout = "long",
+  databasePath,
+  geojsonPath,
+} = {}) {
+  if (!EXPORT_LAYOUTS.includes(layout)) {
+    throw new Error(
+      `Invalid layout "${layout}". Valid choices are: ${EXPORT_LAYOUTS.join(", ")}`,
+    );
+  }
+  const columns = validateColumns(requestedColumns.split(","), {
+    allowText: true,
+  });
+  validateTimeZone(tz);
+  const firstDate = from ? validateDate(from, "--from") : todayIn(tz);
+  const lastDate = to ? validateDate(to, "--to") : firstDate;
+  if (firstDate > lastDate) {
+    throw new Error(`--from ${firstDate} is after --to ${lastDate}`);
+  }
+  const { start } = getDayBoundaries(firstDate, tz);
+  const { end } = getDayBoundaries(lastDate, tz);
+
+  const allLocations = await readLocations(geojsonPath);
+  const locations = locationSelectors
+    ? selectLocations(allLocations, locationSelectors.split(","))
+    : allLocations;
+  const locationsById = new Map(
+    locations.map((location) => [location.auroraId, location]),
+  );
+
+  const db = await initializeDatabase(databasePath, geojsonPath);
+  const startSeconds = Math.round(start / 1000);
+  const rows = db
+    .prepare(
+      `
+      SELECT w.auroraId, m.name, w.generationTime, w.generationEpoch,
+        ${getSourceColumns(columns)
+          .map((column) => `w.${column}`)
+          .join(", ")}
+      FROM ${TABLE_NAME} w
+      LEFT JOIN aurora_map m ON m.auroraId = w.auroraId
+      WHERE w.generationEpoch BETWEEN ? AND ?
+      ${locationSelectors ? `AND w.auroraId IN (${locations.map(() => "?").join(", ")})` : ""}
+      AND (${columns.map(hasValueSql).join(" OR ")})
+      ORDER BY w.auroraId ASC, w.generationEpoch ASC
+    `,
+    )
+    .all(
+      startSeconds - getLookbackSeconds(columns),
+      Math.floor(end / 1000),
+      ...(locationSelectors ? [...locationsById.keys()] : []),
+    );
+  const derivedValues = deriveColumns(columns, rows);
+
+  const observations = rows
+    .filter((row) => row.generationEpoch >= startSeconds)
+    .map((row) => {
+      const location = locationsById.get(row.auroraId);
+      return {
+        auroraId: row.auroraId,
+        name: row.name ?? location?.name,
+        state: location?.state,
+        latitude: location?.latitude,
+        longitude: location?.longitude,
+        timeUTC: new Date(row.generationEpoch * 1000)
+          .toISOString()
+          .replace(".000Z", "Z"),
+        // generationTime is stored with the station's own offset
+        timeLocal: row.generationTime,
+        ...Object.fromEntries(
+          columns.map((column) => [
+            column,
+            derivedValues[column]
+              ? derivedValues[column].get(row)
+              : row[column],
+          ]),
+        ),
+      };
+    });
+
+  const outputFile = path.resolve(process.cwd(), output);
+  const stream = fs.createWriteStream(outputFile);
+  let lines = 0;
+  for (const line of csvLines(observations, columns, layout)) {
+    lines++;
+    if (!stream.write(line)) {
+      await once(stream, "drain");
+    }
+  }
+  stream.end();
+  await once(stream, "finish");
+
+  logger.info(
+    "Exported %d observations from %d locations (%s to %s) as %d %s rows to %s",
+    observations.length,
+    new Set(observations.map((observation) => observation.auroraId)).size,
+    firstDate,
+    lastDate,
+    lines - 1,
+    layout,
+    outputFile,
+  );
+  closeDatabase();
+  return { rows: observations.length, lines };
+}
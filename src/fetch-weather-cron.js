@@ -4,19 +4,86 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import { eachLimit } from "async";
-import { append, closeDatabase, initializeDatabase } from "./sqlite.js";
+import {
+  append,
+  closeDatabase,
+  finishFetchRun,
+  getObservations,
+  initializeDatabase,
+  recordFetchResult,
+  startFetchRun,
+} from "./sqlite.js";
 import { graphqlQuery } from "./graphql.js";
+import { normaliseObservation } from "./normalise.js";
+import {
+  checkObservations,
+  formatQcFlags,
+  QC_LOOKBACK_SECONDS,
+  QC_RANGES,
+} from "./qc.js";
+import { updateRecords } from "./records.js";
 import { resolveLocalTimeToUtc } from "./utils.aurora-dates.js";
 import logger from "./logger.js";
 
 const __dirname = path.dirname(new URL(import.meta.url).pathname);
 
-export function everythingQuery(auroraId) {
-  return `query ByLatLongWithRadius {
-  locations {
-    byId(id: ${JSON.stringify(auroraId)}) {
-      weather {
-        detailedHistoricConditions(hours: 1) {
+/**
+ * How many hours of history to request when backfilling and no window is given.
+ * Aurora returns one observation roughly every 10 minutes.
+ */
+export const DEFAULT_BACKFILL_HOURS = 24;
+
+/**
+ * How many locations to request in each aliased GraphQL query, and how many of
+ * those queries to have in flight at once
+ */
+export const DEFAULT_BATCH_SIZE = Number(process.env.AURORA_BATCH_SIZE) || 20;
+
+export const DEFAULT_CONCURRENCY = Number(process.env.AURORA_CONCURRENCY) || 3;
+
+/**
+ * How many locations may fail before the run is considered broken. Either a
+ * count ("5") or a percentage of attempted locations ("10%").
+ */
+export const DEFAULT_MAX_FAILURES = process.env.FETCH_MAX_FAILURES || "10%";
+
+/**
+ * Resolve a failure budget like "5" or "10%" to a number of locations
+ * @param {string|number} maxFailures
+ * @param {number} total - Number of locations attempted
+ */
+export function resolveFailureBudget(maxFailures, total) {
+  const match = String(maxFailures)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)(%?)$/);
+  if (!match) {
+    throw new Error(`Invalid failure budget: ${maxFailures}`);
+  }
+  const value = Number(match[1]);
+  return match[2] ? Math.floor((value / 100) * total) : value;
+}
+
+/**
+ * Check a count like --batch-size or --concurrency, which must be at least 1
+ * @param {string|number} value
+ * @param {string} name - Option name for the error message
+ * @returns {number}
+ */
+export function validatePositiveInteger(value, name) {
+  const number = Number(String(value).trim());
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${name}: ${value}. Use a whole number above 0.`);
+  }
+  return number;
+}
+
+/**
+ * The selection set for a location's weather, shared by single and batched
+ * queries
+ */
+function weatherSelection(hours = 1) {
+  return `weather {
+        detailedHistoricConditions(hours: ${Number(hours)}) {
           values {
             averageWindSpdKnots,
             averageWindSpeedKm,
@@ -52,57 +119,253 @@ export function everythingQuery(auroraId) {
             windGustSpdKnots
           }
         },
-      }
+      }`;
+}
+
+export function everythingQuery(auroraId, hours = 1) {
+  return `query ByLatLongWithRadius {
+  locations {
+    byId(id: ${JSON.stringify(auroraId)}) {
+      ${weatherSelection(hours)}
     }
   }
 }`.replace(/\n\s*/g, "");
 }
 
+/**
+ * Build one query covering several locations, aliased a1, a2, … in the same
+ * order as `auroraIds`
+ * @param {string[]} auroraIds - Full aurora://location/ IDs
+ */
+export function batchQuery(auroraIds, hours = 1) {
+  const aliases = auroraIds.map(
+    (auroraId, i) => `a${i + 1}: byId(id: ${JSON.stringify(auroraId)}) {
+      ${weatherSelection(hours)}
+    }`,
+  );
+  return `query ByIds {
+  locations {
+    ${aliases.join("\n")}
+  }
+}`.replace(/\n\s*/g, "");
+}
+
+/**
+ * Normalise a raw Aurora observation (see normalise.js), and add the
+ * UTC-resolved min/max temperature times and the generation epoch
+ * @param {Object<string, any>} data - A single item from `values`
+ */
+export function processObservation(data) {
+  return {
+    ...normaliseObservation(data),
+    generationEpoch: data.generationTime
+      ? Math.floor(new Date(data.generationTime).getTime() / 1000)
+      : null,
+    maximumTempLocalTimeUTC: resolveLocalTimeToUtc(
+      data.maximumTempLocalTime,
+      data.endTime,
+    ),
+    minimumTempLocalTimeUTC: resolveLocalTimeToUtc(
+      data.minimumTempLocalTime,
+      data.endTime,
+    ),
+  };
+}
+
+/**
+ * Fetch and store the weather for a single GeoJSON feature.
+ *
+ * By default only the first observation is stored. In backfill mode every
+ * observation in the history window is inserted, and the
+ * UNIQUE (auroraId, generationTime) constraint discards the ones we already
+ * have.
+ *
+ * Aurora options such as `onRetry` are passed through to `queryFn`. Throws if
+ * the request fails or the response has no observations.
+ *
+ * @returns {Promise<{received: number, inserted: number} | undefined>}
+ */
 export async function fetchWeatherForLocation(
   location,
   queryFn = graphqlQuery,
+  { hours = 1, backfill = false, ...queryOptions } = {},
 ) {
   const { name, auroraId } = location.properties;
   if (!auroraId) {
     logger.warn("Missing aurora ID for %s", name);
     return;
   }
-  const query = everythingQuery("aurora://location/" + auroraId);
-  const res = await queryFn(query);
-  const data =
-    res.data?.locations?.byId?.weather?.detailedHistoricConditions?.[0]
-      ?.values?.[0];
-  if (!data) {
-    logger.error("No data fetched for %s (%s)", name, auroraId);
+  const query = everythingQuery("aurora://location/" + auroraId, hours);
+  const res = await queryFn(query, queryOptions);
+  const result = await storeObservations(
+    location,
+    res.data?.locations?.byId,
+    backfill,
+  );
+  if (!result) {
     logger.debug("Response: %j", res);
+    throw new Error(`No data fetched for ${name} (${auroraId})`);
+  }
+  return result;
+}
+
+/**
+ * Insert the observations from one location's `byId` response
+ * @returns {Promise<{received: number, inserted: number} | undefined>}
+ * undefined if the response has no observations.
+ */
+async function storeObservations(location, byId, backfill) {
+  const { auroraId } = location.properties;
+  const values = byId?.weather?.detailedHistoricConditions?.[0]?.values || [];
+  const observations = (backfill ? values : values.slice(0, 1)).filter(Boolean);
+  if (!observations.length) {
     return;
   }
 
-  const processedData = {
-    ...data,
-    maximumTempLocalTimeUTC: resolveLocalTimeToUtc(
-      data.maximumTempLocalTime,
-      data.endTime,
-    ),
-    minimumTempLocalTimeUTC: resolveLocalTimeToUtc(
-      data.minimumTempLocalTime,
-      data.endTime,
-    ),
-  };
+  const fetchTime = new Date().toISOString();
+  const rows = observations.map((data) => ({
+    auroraId,
+    fetchTime,
+    ...processObservation(data),
+  }));
+  const flags = await checkNewObservations(auroraId, rows);
+
+  let inserted = 0;
+  for (const row of rows) {
+    inserted += await append({
+      ...row,
+      qcFlags: formatQcFlags(flags.get(row)),
+    });
+  }
+  return { received: observations.length, inserted };
+}
 
-  await append({
+/**
+ * Run the QC checks on new rows, with the location's stored history before
+ * them for the step and flat-line checks
+ * @returns {Promise<Map<Object, import('./qc.js').QcFlags>>}
+ */
+async function checkNewObservations(auroraId, rows) {
+  const epochs = rows.map((row) => row.generationEpoch).filter(Number.isFinite);
+  if (!epochs.length) {
+    return checkObservations(rows);
+  }
+  const first = Math.min(...epochs);
+  const history = await getObservations(
     auroraId,
-    fetchTime: new Date().toISOString(),
-    ...processedData,
-  });
-  return res;
+    first - QC_LOOKBACK_SECONDS,
+    first - 1,
+    Object.keys(QC_RANGES),
+  );
+  const flags = checkObservations([...history, ...rows]);
+  const flagged = rows.filter((row) => flags.has(row));
+  if (flagged.length) {
+    logger.warn(
+      "QC flagged %d of %d observations for %s: %j",
+      flagged.length,
+      rows.length,
+      auroraId,
+      flagged.map((row) => flags.get(row)),
+    );
+  }
+  return flags;
+}
+
+/**
+ * Fetch and store the weather for several locations in one aliased request.
+ *
+ * A GraphQL error or missing data for one alias doesn't fail the batch: that
+ * location alone is retried with its own request. If the batched request
+ * itself fails, every location in it fails.
+ *
+ * @param {Object[]} locations - GeoJSON features, all with an auroraId
+ * @returns {Promise<{location: Object, result?: {received: number, inserted: number}, error?: Error}[]>}
+ */
+export async function fetchWeatherForBatch(
+  locations,
+  queryFn = graphqlQuery,
+  { hours = 1, backfill = false, ...queryOptions } = {},
+) {
+  if (locations.length === 1) {
+    return fetchWeatherForLocation(locations[0], queryFn, {
+      hours,
+      backfill,
+      ...queryOptions,
+    }).then(
+      (result) => [{ location: locations[0], result }],
+      (error) => [{ location: locations[0], error }],
+    );
+  }
+
+  const query = batchQuery(
+    locations.map(
+      (location) => "aurora://location/" + location.properties.auroraId,
+    ),
+    hours,
+  );
+
+  let res;
+  try {
+    res = await queryFn(query, { ...queryOptions, partial: true });
+  } catch (error) {
+    return locations.map((location) => ({ location, error }));
+  }
+
+  // Errors are reported with a path like ["locations", "a3", "weather", …]
+  const erroredAliases = new Set(
+    (res.errors || []).map((error) => error.path?.[1]).filter(Boolean),
+  );
+
+  return Promise.all(
+    locations.map(async (location, i) => {
+      const alias = `a${i + 1}`;
+      const result = erroredAliases.has(alias)
+        ? undefined
+        : await storeObservations(
+            location,
+            res.data?.locations?.[alias],
+            backfill,
+          );
+      if (result) {
+        return { location, result };
+      }
+      logger.debug(
+        "No data for %s in batch, retrying alone",
+        location.properties.auroraId,
+      );
+      return fetchWeatherForLocation(location, queryFn, {
+        hours,
+        backfill,
+        ...queryOptions,
+        onRetry: undefined,
+      }).then(
+        (result) => ({ location, result, retried: true }),
+        (error) => ({ location, error, retried: true }),
+      );
+    }),
+  );
 }
 
+/**
+ * Fetch every location in the GeoJSON file, retrying failed requests.
+ *
+ * Resolves with a summary of the run. `budgetExceeded` is true when more
+ * locations failed than `maxFailures` allows, so callers can stop the pipeline
+ * before a half-empty dataset is published.
+ */
 export default async function fetchWeatherCron({
   geojsonPath = path.resolve(__dirname, "../data/au.geo.json"),
   databasePath,
   queryFn = graphqlQuery,
+  backfill = false,
+  hours = backfill ? DEFAULT_BACKFILL_HOURS : 1,
+  maxFailures = DEFAULT_MAX_FAILURES,
+  retryOptions = {},
+  batchSize = DEFAULT_BATCH_SIZE,
+  concurrency = DEFAULT_CONCURRENCY,
 } = {}) {
+  batchSize = validatePositiveInteger(batchSize, "batch size");
+  concurrency = validatePositiveInteger(concurrency, "concurrency");
   await initializeDatabase(databasePath, geojsonPath);
 
   const geojsonText = await fs.readFile(geojsonPath, "utf8").catch((e) => {
@@ -114,28 +377,140 @@ export default async function fetchWeatherCron({
   });
   const geojson = JSON.parse(geojsonText);
 
+  if (backfill) {
+    logger.info("Backfilling the last %d hours of observations", hours);
+  }
+
+  const locations = geojson.features.filter((feature) => {
+    if (!feature.properties.auroraId) {
+      logger.warn("Missing aurora ID for %s", feature.properties.name);
+    }
+    return feature.properties.auroraId;
+  });
+  const batches = [];
+  for (let i = 0; i < locations.length; i += batchSize) {
+    batches.push(locations.slice(i, i + batchSize));
+  }
+
+  const runId = await startFetchRun({
+    mode: backfill ? "backfill" : "cron",
+    hours,
+    locations: locations.length,
+  });
+
+  const results = [];
+  const failures = [];
+  const retried = new Set();
   let i = 0;
-  await eachLimit(geojson.features, 3, async (feature) => {
-    await fetchWeatherForLocation(feature, queryFn).catch((e) => {
-      logger.error(
-        "Failed to fetch weather for %s: %s",
-        feature.properties.name,
-        e.message,
-      );
+  await eachLimit(batches, concurrency, async (batch) => {
+    const outcomes = await fetchWeatherForBatch(batch, queryFn, {
+      hours,
+      backfill,
+      ...retryOptions,
+      onRetry: (e, attempt) => {
+        batch.forEach((feature) => retried.add(feature.properties.auroraId));
+        logger.warn(
+          "Retrying %s (attempt %d) after error: %s",
+          batch.length === 1
+            ? batch[0].properties.name
+            : `batch of ${batch.length}`,
+          attempt,
+          e.message,
+        );
+      },
     });
-    i++;
-    if (i % 10 === 0 || i === geojson.features.length) {
-      logger.info(
-        "Progress: %d/%d locations processed",
-        i,
-        geojson.features.length,
-      );
+
+    for (const { location, result, error, retried: wasRetried } of outcomes) {
+      const { name, auroraId } = location.properties;
+      if (wasRetried) {
+        retried.add(auroraId);
+      }
+      await recordFetchResult(runId, {
+        auroraId,
+        ...result,
+        retried: retried.has(auroraId),
+        error: error?.message,
+      });
+      if (error) {
+        logger.error("Failed to fetch weather for %s: %s", name, error.message);
+        failures.push({ name, auroraId, error: error.message });
+        continue;
+      }
+      results.push({ name, auroraId, ...result });
+      if (backfill) {
+        logger.info(
+          "Backfilled %s (%s): %d new of %d observations",
+          name,
+          auroraId,
+          result.inserted,
+          result.received,
+        );
+      }
     }
+
+    i += batch.length;
+    logger.info("Progress: %d/%d locations processed", i, locations.length);
   });
 
+  const inserted = results.reduce((sum, result) => sum + result.inserted, 0);
+  const received = results.reduce((sum, result) => sum + result.received, 0);
+  if (backfill) {
+    logger.info(
+      "Backfill complete: %d new rows across %d locations",
+      inserted,
+      results.length,
+    );
+  }
+
+  const attempted = results.length + failures.length;
+  const allowedFailures = resolveFailureBudget(maxFailures, attempted);
+  const budgetExceeded = failures.length > allowedFailures;
+  logger.info(
+    "Run summary: %d succeeded, %d failed, %d retried",
+    results.length,
+    failures.length,
+    retried.size,
+  );
+  if (budgetExceeded) {
+    logger.error(
+      "%d failures exceeds the budget of %d (%s)",
+      failures.length,
+      allowedFailures,
+      maxFailures,
+    );
+  }
+
+  await finishFetchRun(runId, {
+    succeeded: results.length,
+    failed: failures.length,
+    retried: retried.size,
+    inserted,
+    duplicates: received - inserted,
+    budgetExceeded,
+  });
+
+  // Records only read what's been stored, so they can't fail the run
+  let recordsBroken = [];
+  try {
+    ({ broken: recordsBroken } = await updateRecords({ runId }));
+  } catch (e) {
+    logger.error("Failed to update records: %s", e.message);
+  }
+
   closeDatabase();
+  return {
+    runId,
+    results,
+    failures,
+    retried: [...retried],
+    budgetExceeded,
+    recordsBroken,
+  };
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-  await fetchWeatherCron();
+  const { budgetExceeded } = await fetchWeatherCron();
+  if (budgetExceeded) {
+    process.exit(1);
+  }
 }
@@ -2,59 +2,361 @@ import { program } from "commander";
 import { TABLE_NAME } from "./migrations/01-create-weather_data.js";
 import fs from "node:fs/promises";
 import path from "node:path";
+import { performance } from "node:perf_hooks";
 import { initializeDatabase } from "./sqlite.js";
-import { startOfDay, endOfDay, addDays } from "date-fns";
-import { toZonedTime, formatInTimeZone } from "date-fns-tz";
+import {
+  deriveColumns,
+  getLookbackSeconds,
+  getSourceColumns,
+  hasValueSql,
+  validateColumns,
+} from "./columns.js";
+import {
+  aggregateSeries,
+  getAggregateColumn,
+  validateAggregate,
+} from "./aggregate.js";
+import {
+  checkObservations,
+  getColumnFlags,
+  getQcColumns,
+  QC_LOOKBACK_SECONDS,
+  validateQcMode,
+} from "./qc.js";
+import {
+  fromZonedTime,
+  formatInTimeZone,
+  getTimezoneOffset,
+} from "date-fns-tz";
+import {
+  anomalyValue,
+  baselineKey,
+  daysOfYearBetween,
+  localDayAndHour,
+  readBaselines,
+  validateAnomalyMode,
+} from "./climatology.js";
+import { formatOffset, parseOffsetMinutes } from "./utils.aurora-dates.js";
 import logger from "./logger.js";
 
 /**
- * All output times are in Brisbane (UTC+10) since it doesn't have DST. To
- * ensure we always grab a full "Brisbane Day" , we calculate local midnight and
- * convert those boundaries back to UTC for DB querying.
+ * By default output times are in Brisbane (UTC+10) since it doesn't have DST.
+ * To ensure we always grab a full local day, we calculate local midnight in the
+ * output time zone and convert those boundaries back to UTC for DB querying.
  */
-const TZ = "Australia/Brisbane";
+export const DEFAULT_TZ = process.env.GENERATE_TZ || "Australia/Brisbane";
 
-const getDayBoundaries = (offset = 0) => {
-  // Determine "Now" in Brisbane and apply the day offset (0 = today, -1 = yesterday)
-  const brisbaneNow = toZonedTime(new Date(), TZ);
-  const target = addDays(brisbaneNow, offset);
+const ISO_FORMAT = "yyyy-MM-dd'T'HH:mm:ssXXX";
+
+/**
+ * UTC offsets range from -12:00 to +14:00, so a location's local day can start
+ * up to 26 hours either side of the same date in the output time zone
+ */
+const LOCAL_DAY_MARGIN_SECONDS = 26 * 60 * 60;
+
+/**
+ * @param {string} timeZone - IANA name, e.g. "Australia/Perth"
+ * @throws {Error} If it isn't a time zone this runtime knows
+ */
+export function validateTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-AU", { timeZone });
+  } catch {
+    throw new Error(
+      `Invalid time zone "${timeZone}". Use an IANA name like Australia/Sydney.`,
+    );
+  }
+  return timeZone;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a calendar date from the CLI
+ * @param {string} date - "yyyy-MM-dd"
+ * @param {string} [name] - Option name for the error message
+ */
+export function validateDate(date, name = "date") {
+  const valid =
+    /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+    new Date(`${date}T00:00:00Z`).toISOString().startsWith(date);
+  if (!valid) {
+    throw new Error(
+      `Invalid ${name} "${date}". Use an ISO date like 2026-01-13.`,
+    );
+  }
+  return date;
+}
+
+/**
+ * Check a day offset from the CLI
+ * @param {string|number} dayStart - e.g. "0" or "-1"
+ * @param {string} [name] - Option name for the error message
+ * @returns {number}
+ */
+export function validateDayStart(dayStart, name = "--dayStart") {
+  if (!/^[-+]?\d+$/.test(String(dayStart).trim())) {
+    throw new Error(
+      `Invalid ${name} "${dayStart}". Use a whole number of days from today, like 0 or -1.`,
+    );
+  }
+  return Number(dayStart);
+}
+
+/**
+ * Check a number of days from the CLI, like --days or --span
+ * @param {string|number} days
+ * @param {string} name - Option name for the error message
+ * @returns {number}
+ */
+export function validateDays(days, name) {
+  if (!/^\+?\d+$/.test(String(days).trim()) || Number(days) < 1) {
+    throw new Error(
+      `Invalid ${name} "${days}". Use a whole number of days, like 1 or 7.`,
+    );
+  }
+  return Number(days);
+}
+
+/**
+ * Calendar arithmetic on "yyyy-MM-dd" strings, independent of any time zone
+ * @param {string} date
+ * @param {number} days
+ */
+export function addDaysToDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .substring(0, 10);
+}
+
+/**
+ * Whole days from one "yyyy-MM-dd" date to another
+ */
+export function daysBetween(from, to) {
+  return Math.round(
+    (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS,
+  );
+}
+
+/** Today's date in `timeZone`, as "yyyy-MM-dd" */
+export function todayIn(timeZone = DEFAULT_TZ) {
+  return formatInTimeZone(new Date(), timeZone, "yyyy-MM-dd");
+}
+
+/**
+ * The calendar dates covered by `span` days from `day`, and the UTC instants
+ * of their first and last moments in `timeZone`. Days either side of a DST
+ * change are 23 or 25 hours long.
+ * @param {number|string} day - Offset from today (0 = today, -1 = yesterday)
+ * or an ISO date ("2026-01-13")
+ * @param {string} timeZone
+ * @param {number} [span] - Number of days
+ */
+export const getDayBoundaries = (day = 0, timeZone = DEFAULT_TZ, span = 1) => {
+  const date =
+    typeof day === "string"
+      ? validateDate(day)
+      : addDaysToDate(todayIn(timeZone), day);
+  const nextDate = addDaysToDate(date, span);
 
-  // Return UTC ISO strings representing 00:00:00 and 23:59:59 in Brisbane
   return {
-    start: startOfDay(target),
-    end: endOfDay(target),
+    date,
+    lastDate: addDaysToDate(date, span - 1),
+    start: fromZonedTime(`${date}T00:00:00`, timeZone),
+    // 23:59:59.999 local time on the last day
+    end: new Date(fromZonedTime(`${nextDate}T00:00:00`, timeZone) - 1),
   };
 };
 
-export async function getTimeSeriesForColumn({
-  column = "tempC",
-  dayStart = 0,
+/**
+ * Find which of the days a row falls in, by the output time zone's midnights,
+ * and its minute index into that day (0 to 1439 for a standard day, and on
+ * past 1440 when a file spans several days).
+ */
+function placeInDay(row, days) {
+  const day = days.find(
+    (day) =>
+      row.generationEpoch >= day.startSeconds &&
+      row.generationEpoch <= day.endSeconds,
+  );
+  if (!day) {
+    return {};
+  }
+  const x = Math.floor(
+    (row.generationEpoch * 1000 - day.startMs) / (1000 * 60),
+  );
+  return { day, x };
+}
+
+/**
+ * Like placeInDay, but by the row's own local midnight, from the offset in
+ * its `endTime`. Rows without one fall back to the output time zone.
+ */
+function placeInLocalDay(row, days, timeZone) {
+  const offset =
+    parseOffsetMinutes(row.endTime) ??
+    getTimezoneOffset(timeZone, row.generationEpoch * 1000) / (60 * 1000);
+  const localSeconds = row.generationEpoch + offset * 60;
+  const date = new Date(localSeconds * 1000).toISOString().substring(0, 10);
+  const day = days.find((day) => date >= day.date && date <= day.lastDate);
+  if (!day) {
+    return {};
+  }
+  const x = Math.floor(
+    (localSeconds - Date.parse(`${day.date}T00:00:00Z`) / 1000) / 60,
+  );
+  return { day, x, offset };
+}
+
+/**
+ * Build the datasets for several columns and days from a single query over the
+ * whole date range. Each row is fanned out to the day it falls in, and to
+ * every requested column that has a value.
+ *
+ * @param {Object} options
+ * @param {string[]} [options.columns]
+ * @param {(number|string)[]} [options.dayStarts] - Days relative to today (0,
+ * -1, -2) or ISO dates ("2026-01-13")
+ * @param {number} [options.span] - Days in each dataset, from its dayStart
+ * @param {boolean} [options.allowText] - Allow TEXT columns as well as REAL
+ * @param {string} [options.timeZone] - Which zone's days to generate, and
+ * the zone of `startDate` and `updatedDate`
+ * @param {boolean} [options.localDays] - Bucket each location by its own
+ * local day, using the UTC offset in each observation's `endTime`, so minute
+ * 0 is local midnight wherever the station is. The offsets used are recorded
+ * in the dataset's `offsets`.
+ * @param {"exclude"|"annotate"} [options.qc] - Run the QC checks (see qc.js)
+ * and either leave flagged values out, or keep them and list their flags in
+ * the dataset's `flags` as [minute, checks] by auroraId. Derived columns
+ * take the flags of their sources.
+ * @param {"departure"|"percentile"} [options.anomaly] - Replace each value
+ * with its departure from the climatology mean for that station, day of the
+ * year and hour, or its percentile rank (see climatology.js). Values without
+ * a baseline are left out.
+ * @returns {Promise<Object<string, Object<number|string, {updatedDate: string, startDate: string, endDate?: string, timeZone: string, localDays?: boolean, offsets?: Object<string, string>, qc?: string, flags?: Object<string, [number, string[]][]>, anomaly?: string, series: Object<string, [number, any][]>}>>>}
+ * Datasets keyed by column, then by dayStart. `endDate` is only set when
+ * spanning several days.
+ */
+export async function getTimeSeriesForColumns({
+  columns: requestedColumns = ["tempC"],
+  dayStarts = [0],
+  span = 1,
+  allowText = false,
+  timeZone = DEFAULT_TZ,
+  localDays = false,
+  qc,
+  anomaly,
 }) {
+  const columns = validateColumns(requestedColumns, { allowText });
+  validateTimeZone(timeZone);
+  if (qc) {
+    validateQcMode(qc);
+  }
+  if (anomaly) {
+    validateAnomalyMode(anomaly);
+  }
+  if (!Number.isInteger(span) || span < 1) {
+    throw new Error(`Invalid span "${span}". Use a whole number of days.`);
+  }
   const db = await initializeDatabase();
-  const { start, end } = getDayBoundaries(dayStart);
+  const updatedDate = formatInTimeZone(new Date(), timeZone, ISO_FORMAT);
+
+  const days = dayStarts.map((dayStart) => {
+    const { date, lastDate, start, end } = getDayBoundaries(
+      dayStart,
+      timeZone,
+      span,
+    );
+    return {
+      dayStart,
+      date,
+      lastDate,
+      startMs: start.getTime(),
+      startSeconds: Math.round(start / 1000),
+      endSeconds: Math.floor(end / 1000),
+      startDate: formatInTimeZone(start, timeZone, ISO_FORMAT),
+      ...(span > 1 && {
+        endDate: formatInTimeZone(end, timeZone, ISO_FORMAT),
+      }),
+    };
+  });
+
+  const datasets = {};
+  for (const column of columns) {
+    datasets[column] = {};
+    for (const day of days) {
+      datasets[column][day.dayStart] = {
+        updatedDate,
+        startDate: day.startDate,
+        ...(day.endDate && { endDate: day.endDate }),
+        timeZone,
+        ...(localDays && { localDays, offsets: {} }),
+        ...(qc && { qc }),
+        ...(qc === "annotate" && { flags: {} }),
+        ...(anomaly && { anomaly }),
+        series: {},
+      };
+    }
+  }
 
   /**
-   * The database contains generationTime strings with varying timezones.
-   * 'unixepoch()' is used to convert these to a standard UTC seconds.
-   * This ensures the 'BETWEEN' filter and the 'ORDER BY' are chronologically accurate
-   * even if the input strings are formatted differently.
+   * generationEpoch is generationTime normalised to UTC seconds, so the range
+   * filter and the ORDER BY are chronologically accurate and can use
+   * idx_generation_epoch, even though the generationTime strings have varying
+   * offsets.
    */
+  const storedColumns = [
+    ...new Set([
+      ...getSourceColumns(columns),
+      ...(localDays || anomaly ? ["endTime"] : []),
+      ...(qc ? [...getQcColumns(getSourceColumns(columns)), "qcFlags"] : []),
+    ]),
+  ];
+  const lookbackSeconds = Math.max(
+    getLookbackSeconds(columns),
+    qc ? QC_LOOKBACK_SECONDS : 0,
+  );
+  const marginSeconds = localDays ? LOCAL_DAY_MARGIN_SECONDS : 0;
+
   const sql = `
       SELECT 
-        generationTime, 
+        generationEpoch, 
         auroraId, 
-        ${column} as value
+        ${storedColumns.join(", ")}
       FROM ${TABLE_NAME}
-      WHERE unixepoch(generationTime) BETWEEN ${Math.round(
-        start / 1000,
-      )} AND ${Math.round(end / 1000)}
-      AND value is not null
-      ORDER BY unixepoch(generationTime) ASC
+      WHERE generationEpoch BETWEEN ? AND ?
+      AND (${columns.map(hasValueSql).join(" OR ")})
+      ORDER BY generationEpoch ASC
     `;
-  const rows = db.prepare(sql).all();
+  const queryStart = performance.now();
+  const rows = db
+    .prepare(sql)
+    .all(
+      Math.min(...days.map((day) => day.startSeconds)) -
+        lookbackSeconds -
+        marginSeconds,
+      Math.max(...days.map((day) => day.endSeconds)) + marginSeconds,
+    );
+  logger.info(
+    "Read %d rows for %d columns over %d days in %dms",
+    rows.length,
+    columns.length,
+    days.length,
+    Math.round(performance.now() - queryStart),
+  );
 
-  const series = {};
-  const startMs = new Date(start).getTime();
+  const derivedValues = deriveColumns(columns, rows);
+  const qcFlags = qc ? checkObservations(rows) : new Map();
+  const baselines = anomaly
+    ? readBaselines(
+        db,
+        columns,
+        daysOfYearBetween(
+          Math.min(...days.map((day) => day.startSeconds)),
+          Math.max(...days.map((day) => day.endSeconds)),
+        ),
+      )
+    : new Map();
 
   /**
    * To keep the JSON payload smallish:
@@ -62,39 +364,163 @@ export async function getTimeSeriesForColumn({
    * This results in a tight [x, y] coordinate array that compresses well
    */
   for (const row of rows) {
-    // Calculate the absolute millisecond difference from the start of the day
-    const currentMs = new Date(row.generationTime).getTime();
+    const { day, x, offset } = localDays
+      ? placeInLocalDay(row, days, timeZone)
+      : placeInDay(row, days);
+    if (!day) {
+      continue;
+    }
 
-    // Map absolute time to a minute index (0 to 1439 for a standard day)
-    const x = Math.floor((currentMs - startMs) / (1000 * 60));
+    for (const column of columns) {
+      let value = derivedValues[column]
+        ? (derivedValues[column].get(row) ?? null)
+        : row[column];
+      if (value === null) {
+        continue;
+      }
+      if (anomaly) {
+        const time = localDayAndHour(row);
+        const baseline =
+          time &&
+          baselines.get(
+            baselineKey(row.auroraId, column, time.dayOfYear, time.hour),
+          );
+        if (!baseline) {
+          continue;
+        }
+        value = anomalyValue(value, baseline, anomaly);
+      }
+      const dataset = datasets[column][day.dayStart];
+      const flags = getColumnFlags(qcFlags.get(row), column);
+      if (flags && qc === "exclude") {
+        continue;
+      }
+      if (flags) {
+        (dataset.flags[row.auroraId] ??= []).push([x, flags]);
+      }
+      const { series } = dataset;
+      if (!series[row.auroraId]) {
+        series[row.auroraId] = [];
+        if (localDays) {
+          dataset.offsets[row.auroraId] = formatOffset(offset);
+        }
+      }
 
-    if (!series[row.auroraId]) {
-      series[row.auroraId] = [];
+      // Final format: [minuteIndex, readingValue]
+      series[row.auroraId].push([x, value]);
     }
+  }
+
+  return datasets;
+}
 
-    // Final format: [minuteIndex, readingValue]
-    series[row.auroraId].push([x, row.value]);
+/**
+ * Build the dataset for one column and day.
+ *
+ * With `aggregate`, the series is reduced to one value per hour or day bucket
+ * (see aggregate.js) and the bucket and stat are recorded in the output.
+ *
+ * @param {Object} options
+ * @param {string} [options.column]
+ * @param {number|string} [options.dayStart] - Day relative to today (0, -1,
+ * -2) or an ISO date
+ * @param {number} [options.span] - Days in the dataset
+ * @param {boolean} [options.allowText] - Allow TEXT columns as well as REAL
+ * @param {string} [options.timeZone] - See getTimeSeriesForColumns
+ * @param {boolean} [options.localDays] - See getTimeSeriesForColumns
+ * @param {{bucket: "hour"|"day", stat: "min"|"max"|"mean"|"sum"|"last"}} [options.aggregate]
+ * - Summing an accumulator like precipitationSince9amMM sums its intervals
+ * (see ACCUMULATOR_COLUMNS)
+ * @param {"exclude"|"annotate"} [options.qc] - See getTimeSeriesForColumns
+ * @param {"departure"|"percentile"} [options.anomaly] - See
+ * getTimeSeriesForColumns
+ */
+export async function getTimeSeriesForColumn({
+  column = "tempC",
+  dayStart = 0,
+  span,
+  allowText = false,
+  timeZone,
+  localDays,
+  aggregate,
+  qc,
+  anomaly,
+}) {
+  if (aggregate) {
+    validateAggregate(aggregate);
+  }
+  const generated = aggregate
+    ? getAggregateColumn(column.trim(), aggregate)
+    : column.trim();
+  const datasets = await getTimeSeriesForColumns({
+    columns: [generated],
+    dayStarts: [dayStart],
+    span,
+    allowText,
+    timeZone,
+    localDays,
+    qc,
+    anomaly,
+  });
+  const dataset = datasets[generated][dayStart];
+  if (!aggregate) {
+    return dataset;
   }
 
   return {
-    updatedDate: formatInTimeZone(new Date(), TZ, "yyyy-MM-dd'T'HH:mm:ssXXX"),
-    startDate: formatInTimeZone(
-      new Date(start),
-      TZ,
-      "yyyy-MM-dd'T'HH:mm:ssXXX",
-    ),
-    series,
+    ...dataset,
+    aggregate: { bucket: aggregate.bucket, stat: aggregate.stat },
+    series: aggregateSeries(dataset.series, aggregate),
   };
 }
 
+/**
+ * Which day a single dataset starts on and how many days it spans, from the
+ * CLI's --dayStart, --from, --to and --span
+ * @returns {{dayStart: number|string, span: number}}
+ */
+export function resolveRange({ dayStart = 0, from, to, span, tz }) {
+  if (to && span) {
+    throw new Error("Use either --to or --span, not both");
+  }
+  const start = from
+    ? validateDate(from, "--from")
+    : validateDayStart(dayStart);
+  if (!to) {
+    return { dayStart: start, span: Number(span || 1) };
+  }
+
+  const firstDate = from ?? addDaysToDate(todayIn(tz), start);
+  const days = daysBetween(firstDate, validateDate(to, "--to")) + 1;
+  if (days < 1) {
+    throw new Error(`--to ${to} is before ${firstDate}`);
+  }
+  return { dayStart: start, span: days };
+}
+
 export default async function generateDataset(options) {
   const outputFile = path.resolve(process.cwd(), options.output);
+  const { dayStart, span } = resolveRange(options);
 
-  logger.info("Fetching %s for day: %s", options.column, options.dayStart);
+  logger.info(
+    "Fetching %s for %d day(s) from: %s",
+    options.column,
+    span,
+    dayStart,
+  );
 
   const datas = await getTimeSeriesForColumn({
     column: options.column,
-    dayStart: parseInt(options.dayStart),
+    dayStart,
+    span,
+    allowText: Boolean(options.allowText),
+    timeZone: options.tz,
+    localDays: Boolean(options.localDays),
+    qc: options.qc,
+    anomaly: options.anomaly,
+    ...(options.aggregate && {
+      aggregate: { bucket: options.aggregate, stat: options.stat },
+    }),
   });
 
   logger.info("Writing to %s", outputFile);
@@ -109,6 +535,26 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       "-o, --output <filename>",
       "Where to write this json",
       "output.json",
+    )
+    .option("--allow-text", "Allow TEXT columns as well as numeric ones")
+    .option("--tz <timeZone>", "Time zone for day boundaries", DEFAULT_TZ)
+    .option("--local-days", "Bucket each location by its own local day")
+    .option("--from <date>", "First day, as an ISO date (overrides --dayStart)")
+    .option("--to <date>", "Last day, as an ISO date")
+    .option("--span <days>", "Number of days in the file")
+    .option("-a, --aggregate <bucket>", "Aggregate into hour or day buckets")
+    .option(
+      "-s, --stat <stat>",
+      "Statistic for each bucket: min, max, mean, sum or last",
+      "mean",
+    )
+    .option(
+      "--qc <mode>",
+      "Run QC checks and exclude or annotate flagged values",
+    )
+    .option(
+      "--anomaly <mode>",
+      "Output departure (from the climatology mean) or percentile values",
     );
 
   program.parse();
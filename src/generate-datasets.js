@@ -1,40 +1,274 @@
-import { getTimeSeriesForColumn } from "./generate-dataset.js";
+import {
+  addDaysToDate,
+  DEFAULT_TZ,
+  getTimeSeriesForColumns,
+  todayIn,
+  validateDate,
+  validateDays,
+} from "./generate-dataset.js";
+import {
+  getColumnPrecision,
+  getColumnType,
+  validateColumns,
+} from "./columns.js";
+import {
+  encodeColumnar,
+  extendLocationIndex,
+  LOCATION_INDEX_FILENAME,
+} from "./columnar.js";
 import fs from "node:fs/promises";
 import path from "node:path";
+import { performance } from "node:perf_hooks";
+import {
+  hashDataset,
+  MANIFEST_FILENAME,
+  readManifest,
+  writeManifest,
+} from "./manifest.js";
+import { getLatest, LATEST_FILENAME } from "./generate-latest.js";
+import { getRecentBreaks, RECORDS_FILENAME } from "./records.js";
+import {
+  LOCATIONS_FILENAME,
+  locationsAsset,
+  readLocations,
+} from "./locations.js";
 import logger from "./logger.js";
 
-export default async function generateDatasets(options) {
-  const datasets = options.columns.split(",");
-  const daysToGenerate = [];
+/**
+ * "json" is the `{ series: { [auroraId]: [[minute, value], …] } }` format;
+ * "columnar" is the smaller encoding in columnar.js
+ */
+export const OUTPUT_FORMATS = ["json", "columnar"];
+
+const fileExists = (file) =>
+  fs.access(file).then(
+    () => true,
+    () => false,
+  );
+
+/**
+ * The first date of each file: `span` days at a time from `from` to `to`.
+ * Without --from, the range is the last `days` days up to `to` (today by
+ * default). The last file may run past `to` to make up its span.
+ * @throws {Error} If `days` or `span` isn't a positive whole number
+ * @returns {string[]}
+ */
+export function resolveDayStarts({ from, to, days = 1, span = 1, tz }) {
+  const spanDays = validateDays(span, "--span");
+  const lastDate = to ? validateDate(to, "--to") : todayIn(tz || DEFAULT_TZ);
+  const firstDate = from
+    ? validateDate(from, "--from")
+    : addDaysToDate(lastDate, 1 - validateDays(days, "--days"));
+  if (firstDate > lastDate) {
+    throw new Error(`--from ${firstDate} is after --to ${lastDate}`);
+  }
 
-  for (let i = 0; i > 0 - Number(options.days || 1); i--) {
-    daysToGenerate.push(i);
+  const dayStarts = [];
+  for (let date = firstDate; date <= lastDate;) {
+    dayStarts.push(date);
+    date = addDaysToDate(date, spanDays);
   }
+  return dayStarts;
+}
+
+/**
+ * Which columns have at least one value for each location, across every day
+ * @param {Object<string, Object<string, {series: Object<string, any[]>}>>} data
+ * - As returned by getTimeSeriesForColumns
+ * @returns {Map<string, string[]>}
+ */
+export function columnsWithData(data) {
+  const columns = new Map();
+  for (const [column, days] of Object.entries(data)) {
+    for (const { series } of Object.values(days)) {
+      for (const [auroraId, points] of Object.entries(series)) {
+        if (!points.length) continue;
+        if (!columns.has(auroraId)) columns.set(auroraId, new Set());
+        columns.get(auroraId).add(column);
+      }
+    }
+  }
+  return new Map([...columns].map(([auroraId, set]) => [auroraId, [...set]]));
+}
+
+/**
+ * Read the shared location index, add any new locations and write it back if
+ * it changed
+ * @returns {Promise<string[]>}
+ */
+async function updateLocationIndex(outputDir, auroraIds) {
+  const indexPath = path.join(outputDir, LOCATION_INDEX_FILENAME);
+  const existing = (await fileExists(indexPath))
+    ? JSON.parse(await fs.readFile(indexPath, "utf8"))
+    : [];
+  const locationIndex = extendLocationIndex(existing, auroraIds);
+  if (locationIndex.length !== existing.length) {
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(indexPath, JSON.stringify(locationIndex));
+    logger.info(
+      "Added %d locations to %s",
+      locationIndex.length - existing.length,
+      indexPath,
+    );
+  }
+  return locationIndex;
+}
+
+/**
+ * Write every requested column and day to `<outputDir>/<column>/<date>.json`,
+ * or `<column>/<first date>_<last date>.json` for files spanning several
+ * days. With `format: "columnar"` the files end in `.columnar.json` instead,
+ * and share `location-index.json`. `locations.json` lists the locations with
+ * data in the range (see locationsAsset), and `latest.json` has each
+ * location's latest reading of each column (see generate-latest.js).
+ * `records.json` lists the station records recently broken (see records.js).
+ *
+ * Files whose data hasn't changed since the last run (per the manifest in
+ * outputDir) are left untouched, unless `force` is set. Dates are days in
+ * `options.tz`. With `options.qc`, flagged values are excluded or annotated
+ * (see qc.js).
+ */
+export default async function generateDatasets(options) {
+  const outputDir = options.outputDir || "data/assets/";
+  const manifestPath = path.join(outputDir, MANIFEST_FILENAME);
+  const manifest = await readManifest(manifestPath);
+  const allowText = Boolean(options.allowText);
+  const datasets = validateColumns(options.columns.split(","), { allowText });
+  const span = validateDays(options.span ?? 1, "--span");
+  const format = options.format || "json";
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(
+      `Invalid format "${format}". Valid choices are: ${OUTPUT_FORMATS.join(", ")}`,
+    );
+  }
+  const textColumns = datasets.filter(
+    (column) => getColumnType(column) !== "REAL",
+  );
+  if (format === "columnar" && textColumns.length) {
+    throw new Error(
+      `Columnar output only supports numeric columns, not ${textColumns.join(", ")}`,
+    );
+  }
+  const daysToGenerate = resolveDayStarts({ ...options, span });
+
+  const start = performance.now();
+  const data = await getTimeSeriesForColumns({
+    columns: datasets,
+    dayStarts: daysToGenerate,
+    span,
+    allowText,
+    timeZone: options.tz,
+    localDays: Boolean(options.localDays),
+    qc: options.qc,
+  });
+
+  const locationIndex =
+    format === "columnar" &&
+    (await updateLocationIndex(
+      outputDir,
+      datasets.flatMap((dataset) =>
+        daysToGenerate.flatMap((dayStart) =>
+          Object.keys(data[dataset][dayStart].series),
+        ),
+      ),
+    ));
+
+  let written = 0;
+  let skipped = 0;
+  /**
+   * Write a file under outputDir, unless its data matches the manifest
+   * @returns {Promise<string|null>} Where it was written, or null if skipped
+   */
+  const writeAsset = async (manifestKey, content) => {
+    const outputPath = path.join(outputDir, manifestKey);
+    const hash = hashDataset(content);
+    if (
+      !options.force &&
+      manifest[manifestKey]?.hash === hash &&
+      (await fileExists(outputPath))
+    ) {
+      skipped++;
+      logger.debug("Skipping unchanged %s", outputPath);
+      return null;
+    }
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, JSON.stringify(content));
+    manifest[manifestKey] = { hash };
+    written++;
+    return outputPath;
+  };
 
   for (const dataset of datasets) {
-    for (const dayOffset of daysToGenerate) {
-      const data = await getTimeSeriesForColumn({
-        column: dataset,
-        dayStart: dayOffset,
-      });
+    for (const dayStart of daysToGenerate) {
+      const dayData =
+        format === "columnar"
+          ? encodeColumnar(data[dataset][dayStart], {
+              locationIndex,
+              precision: getColumnPrecision(dataset),
+            })
+          : data[dataset][dayStart];
 
       // Extract date portion from first timestamp and use substr for filename
       // Example: "2026-01-13T00:00:00+10:00" -> "2026-01-13"
-      const dateSubstr = data.startDate.substring(0, 10); // Gets "YYYY-MM-DD"
-
-      const filename = `${dateSubstr}.json`;
-      const outputPath = path.join("data/assets/", dataset, filename);
-
-      await fs.mkdir(path.dirname(outputPath), { recursive: true });
-      await fs.writeFile(outputPath, JSON.stringify(data));
-      logger.info(
-        "Generated %s for day offset %d -> %s",
-        dataset,
-        dayOffset,
-        outputPath,
+      const dateSubstr = dayData.startDate.substring(0, 10); // Gets "YYYY-MM-DD"
+
+      const extension = format === "columnar" ? ".columnar.json" : ".json";
+      const filename = dayData.endDate
+        ? `${dateSubstr}_${dayData.endDate.substring(0, 10)}${extension}`
+        : `${dateSubstr}${extension}`;
+      const outputPath = await writeAsset(
+        path.posix.join(dataset, filename),
+        dayData,
       );
+      if (outputPath) {
+        logger.info("Generated %s for %s -> %s", dataset, dayStart, outputPath);
+      }
     }
   }
 
+  const locations = locationsAsset(
+    await readLocations(options.geojsonPath),
+    columnsWithData(data),
+  );
+  if (await writeAsset(LOCATIONS_FILENAME, locations)) {
+    logger.info(
+      "Generated %s with %d locations",
+      LOCATIONS_FILENAME,
+      locations.length,
+    );
+  }
+
+  const latest = await getLatest({
+    columns: datasets,
+    allowText,
+    staleMinutes: options.staleMinutes,
+  });
+  if (await writeAsset(LATEST_FILENAME, latest)) {
+    logger.info(
+      "Generated %s for %d locations",
+      LATEST_FILENAME,
+      Object.keys(latest.locations).length,
+    );
+  }
+
+  const records = await getRecentBreaks({ days: options.recordsDays });
+  if (await writeAsset(RECORDS_FILENAME, records)) {
+    logger.info(
+      "Generated %s with %d broken records",
+      RECORDS_FILENAME,
+      records.records.length,
+    );
+  }
+
+  await writeManifest(manifestPath, manifest);
+
+  logger.info(
+    "Generated %d files (%d unchanged) in %ss",
+    written,
+    skipped,
+    ((performance.now() - start) / 1000).toFixed(2),
+  );
   logger.info("All datasets generated successfully");
+  return { written, skipped };
 }
@@ -0,0 +1,116 @@
+/**
+ * @file
+ * Generate interpolated grid assets for map rendering (see grid.js).
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import { getTimeSeriesForColumn, resolveRange } from "./generate-dataset.js";
+import { getColumnPrecision } from "./columns.js";
+import { gridDataset } from "./grid.js";
+import { readLocations } from "./locations.js";
+import {
+  hashDataset,
+  MANIFEST_FILENAME,
+  readManifest,
+  writeManifest,
+} from "./manifest.js";
+import { readRegionsFile } from "./regions.js";
+import logger from "./logger.js";
+
+/**
+ * Build a grid dataset for a column
+ *
+ * @param {Object} options
+ * @param {string} [options.column]
+ * @param {number|string} [options.dayStart]
+ * @param {number} [options.span]
+ * @param {string} [options.timeZone]
+ * @param {[number, number, number, number]} [options.bbox]
+ * @param {number} [options.resolution] - Degrees
+ * @param {number} [options.step] - Minutes between frames
+ * @param {number} [options.power]
+ * @param {number} [options.maxDistance] - Kilometres
+ * @param {string} [options.mask] - A GeoJSON file of polygons, e.g. a coastline
+ * @param {string} [options.geojsonPath] - Station locations
+ */
+export async function getGridForColumn({
+  column = "tempC",
+  dayStart = 0,
+  span,
+  timeZone,
+  mask,
+  geojsonPath,
+  ...gridOptions
+}) {
+  const dataset = await getTimeSeriesForColumn({
+    column,
+    dayStart,
+    span,
+    timeZone,
+  });
+  return gridDataset(dataset, await readLocations(geojsonPath), {
+    ...gridOptions,
+    mask: mask ? await readRegionsFile(mask) : undefined,
+    precision: getColumnPrecision(column),
+  });
+}
+
+const toNumber = (value, name) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`Invalid ${name} "${value}". Use a positive number.`);
+  }
+  return number;
+};
+
+/**
+ * Write `<column>/<date>.grid.json` to outputDir and record it in the manifest
+ */
+export default async function generateGrid(options) {
+  const outputDir = options.outputDir || "data/assets/";
+  const { dayStart, span } = resolveRange(options);
+  const bbox = options.bbox?.split(",").map(Number);
+  if (bbox && (bbox.length !== 4 || bbox.some(Number.isNaN))) {
+    throw new Error(
+      `Invalid bbox "${options.bbox}". Use west,south,east,north.`,
+    );
+  }
+
+  const grid = await getGridForColumn({
+    column: options.column,
+    dayStart,
+    span,
+    timeZone: options.tz,
+    bbox,
+    resolution: toNumber(options.resolution, "resolution"),
+    step: toNumber(options.step, "step"),
+    power: toNumber(options.power, "power"),
+    maxDistance: toNumber(options.maxDistance, "max distance"),
+    mask: options.mask,
+  });
+
+  const date = grid.startDate.substring(0, 10);
+  const filename = grid.endDate
+    ? `${date}_${grid.endDate.substring(0, 10)}.grid.json`
+    : `${date}.grid.json`;
+  const manifestKey = path.posix.join(options.column, filename);
+  const outputPath = path.join(outputDir, manifestKey);
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(grid));
+
+  const manifestPath = path.join(outputDir, MANIFEST_FILENAME);
+  const manifest = await readManifest(manifestPath);
+  manifest[manifestKey] = { hash: hashDataset(grid) };
+  await writeManifest(manifestPath, manifest);
+
+  logger.info(
+    "Wrote %s: %dx%d cells at %s° for %d frames",
+    outputPath,
+    grid.grid.cols,
+    grid.grid.rows,
+    grid.grid.resolution,
+    grid.frames.length,
+  );
+  return grid;
+}
@@ -0,0 +1,160 @@
+/**
+ * @file
+ * The most recent reading of every column at every station, for live maps,
+ * so they don't need to download a whole day's file to take its last value.
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import { formatInTimeZone } from "date-fns-tz";
+import { TABLE_NAME } from "./migrations/01-create-weather_data.js";
+import {
+  DERIVED_COLUMNS,
+  deriveColumns,
+  getSourceColumns,
+  hasValueSql,
+  validateColumns,
+} from "./columns.js";
+import { DEFAULT_TZ } from "./generate-dataset.js";
+import {
+  hashDataset,
+  MANIFEST_FILENAME,
+  readManifest,
+  writeManifest,
+} from "./manifest.js";
+import { initializeDatabase } from "./sqlite.js";
+import logger from "./logger.js";
+
+export const LATEST_FILENAME = "latest.json";
+
+/** Readings older than this are flagged `stale` */
+export const DEFAULT_STALE_MINUTES =
+  Number(process.env.LATEST_STALE_MINUTES) || 90;
+
+/** Only look this far back, so the query can use idx_generation_epoch */
+export const DEFAULT_MAX_AGE_DAYS = 7;
+
+/**
+ * How much history to read for derived columns. Stations whose latest
+ * derived value is older than this are left out.
+ */
+const DERIVED_WINDOW_SECONDS = 24 * 60 * 60;
+
+/**
+ * @typedef {Object} LatestReading
+ * @property {any} value
+ * @property {string} time - generationTime, in the station's own offset
+ * @property {boolean} stale - Older than `staleAfterMinutes`
+ */
+
+/**
+ * @param {Object} options
+ * @param {string[]} [options.columns]
+ * @param {boolean} [options.allowText]
+ * @param {number} [options.staleMinutes]
+ * @param {number} [options.maxAgeDays] - Ignore readings older than this
+ * @param {Date} [options.now]
+ * @returns {Promise<{updatedDate: string, staleAfterMinutes: number, locations: Object<string, Object<string, LatestReading>>}>}
+ * Readings keyed by auroraId, then column
+ */
+export async function getLatest({
+  columns: requestedColumns = ["tempC"],
+  allowText = false,
+  staleMinutes = DEFAULT_STALE_MINUTES,
+  maxAgeDays = DEFAULT_MAX_AGE_DAYS,
+  now = new Date(),
+} = {}) {
+  const columns = validateColumns(requestedColumns, { allowText });
+  const db = await initializeDatabase();
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  const since = nowSeconds - Number(maxAgeDays) * 24 * 60 * 60;
+
+  /** @type {Object<string, Object<string, LatestReading>>} */
+  const locations = {};
+  const add = (column, row, value) => {
+    locations[row.auroraId] ??= {};
+    locations[row.auroraId][column] = {
+      value,
+      time: row.generationTime,
+      stale: nowSeconds - row.generationEpoch > Number(staleMinutes) * 60,
+    };
+  };
+
+  for (const column of columns.filter((column) => !DERIVED_COLUMNS[column])) {
+    // SQLite takes the bare columns from the row with the MAX()
+    const rows = db
+      .prepare(
+        `
+        SELECT auroraId, MAX(generationEpoch) AS generationEpoch,
+          generationTime, ${column} AS value
+        FROM ${TABLE_NAME}
+        WHERE generationEpoch >= ? AND ${column} IS NOT NULL
+        GROUP BY auroraId
+      `,
+      )
+      .all(since);
+    rows.forEach((row) => add(column, row, row.value));
+  }
+
+  // Derived columns need the observations before the latest one
+  const derivedColumns = columns.filter((column) => DERIVED_COLUMNS[column]);
+  if (derivedColumns.length) {
+    const rows = db
+      .prepare(
+        `
+        SELECT auroraId, generationEpoch, generationTime,
+          ${getSourceColumns(derivedColumns).join(", ")}
+        FROM ${TABLE_NAME}
+        WHERE generationEpoch >= ?
+        AND (${derivedColumns.map(hasValueSql).join(" OR ")})
+        ORDER BY generationEpoch ASC
+      `,
+      )
+      .all(Math.max(since, nowSeconds - DERIVED_WINDOW_SECONDS));
+    const derived = deriveColumns(derivedColumns, rows);
+    for (const column of derivedColumns) {
+      for (const [row, value] of derived[column]) {
+        // Rows are in order, so the last one wins
+        if (value !== null && value !== undefined) {
+          add(column, row, value);
+        }
+      }
+    }
+  }
+
+  return {
+    updatedDate: formatInTimeZone(now, DEFAULT_TZ, "yyyy-MM-dd'T'HH:mm:ssXXX"),
+    staleAfterMinutes: Number(staleMinutes),
+    locations,
+  };
+}
+
+/**
+ * Write latest.json to outputDir and record it in the manifest
+ */
+export default async function generateLatest(options) {
+  const outputDir = options.outputDir || "data/assets/";
+  const latest = await getLatest({
+    columns: options.columns.split(","),
+    allowText: Boolean(options.allowText),
+    staleMinutes: options.staleMinutes,
+  });
+
+  const outputPath = path.join(outputDir, LATEST_FILENAME);
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(latest));
+
+  const manifestPath = path.join(outputDir, MANIFEST_FILENAME);
+  const manifest = await readManifest(manifestPath);
+  manifest[LATEST_FILENAME] = { hash: hashDataset(latest) };
+  await writeManifest(manifestPath, manifest);
+
+  const readings = Object.values(latest.locations).flatMap(Object.values);
+  logger.info(
+    "Wrote %s with %d readings from %d locations (%d stale)",
+    outputPath,
+    readings.length,
+    Object.keys(latest.locations).length,
+    readings.filter((reading) => reading.stale).length,
+  );
+  return latest;
+}
@@ -0,0 +1,96 @@
+/**
+ * @file
+ * Generate a per-region dataset: one series per state, capital city or
+ * polygon instead of one per station (see regions.js).
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import { getTimeSeriesForColumn, resolveRange } from "./generate-dataset.js";
+import { validateStat } from "./aggregate.js";
+import { readLocations } from "./locations.js";
+import {
+  assignRegions,
+  readRegionsFile,
+  REGION_TYPES,
+  rollupSeries,
+} from "./regions.js";
+import logger from "./logger.js";
+
+export const DEFAULT_ROLLUP_INTERVAL = 30;
+
+/**
+ * Build a rollup dataset, in the same shape as getTimeSeriesForColumn but
+ * with `series` keyed by region name. `rollup` records how it was made, and
+ * `stations` how many stations contributed to each region.
+ *
+ * @param {Object} options
+ * @param {string} [options.column]
+ * @param {number|string} [options.dayStart]
+ * @param {number} [options.span]
+ * @param {string} [options.timeZone]
+ * @param {string} [options.by] - "state", "capital", or a polygon GeoJSON file
+ * @param {"min"|"max"|"mean"|"sum"|"last"} [options.stat]
+ * @param {number} [options.interval] - Minutes per step
+ * @param {string} [options.geojsonPath] - Station locations
+ */
+export async function getRollupForColumn({
+  column = "tempC",
+  dayStart = 0,
+  span,
+  timeZone,
+  by = "state",
+  stat = "mean",
+  interval = DEFAULT_ROLLUP_INTERVAL,
+  geojsonPath,
+}) {
+  validateStat(stat);
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error(`Invalid interval "${interval}". Use whole minutes.`);
+  }
+  const regionsBy = REGION_TYPES.includes(by) ? by : await readRegionsFile(by);
+  const regions = assignRegions(await readLocations(geojsonPath), regionsBy);
+
+  const { series, ...dataset } = await getTimeSeriesForColumn({
+    column,
+    dayStart,
+    span,
+    timeZone,
+  });
+  const rollup = rollupSeries(series, regions, { stat, interval });
+
+  return {
+    ...dataset,
+    rollup: {
+      by: REGION_TYPES.includes(by) ? by : path.basename(by),
+      stat,
+      interval,
+    },
+    stations: rollup.stations,
+    series: rollup.series,
+  };
+}
+
+export default async function generateRollup(options) {
+  const outputFile = path.resolve(process.cwd(), options.output);
+  const { dayStart, span } = resolveRange(options);
+
+  const rollup = await getRollupForColumn({
+    column: options.column,
+    dayStart,
+    span,
+    timeZone: options.tz,
+    by: options.by,
+    stat: options.stat,
+    interval: Number(options.interval),
+  });
+
+  logger.info(
+    "Writing %s %s by %s for %d regions to %s",
+    options.stat,
+    options.column,
+    options.by,
+    Object.keys(rollup.series).length,
+    outputFile,
+  );
+  await fs.writeFile(outputFile, JSON.stringify(rollup));
+}
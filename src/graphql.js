@@ -3,16 +3,119 @@ import dotenv from "dotenv";
 // Load environment variables from .env file
 dotenv.config();
 
-export async function graphqlQuery(query) {
-  return fetch(
-    `${process.env.AURORA_ENDPOINT}?x-api-key=${process.env.AURORA_API_KEY}`,
-    {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify({
-        query,
-      }),
-      redirect: "follow",
+export const DEFAULT_RETRY_OPTIONS = {
+  // Abort a single request after this many milliseconds
+  timeout: Number(process.env.AURORA_TIMEOUT_MS) || 30000,
+  // Number of extra attempts after the first one fails
+  retries: Number(process.env.AURORA_RETRIES ?? 3),
+  // Backoff doubles from minDelay up to maxDelay, with full jitter
+  minDelay: 500,
+  maxDelay: 10000,
+};
+
+/**
+ * A failed Aurora request. `retryable` is false for errors that will never
+ * succeed on a second attempt, like a 4xx response.
+ */
+export class GraphqlError extends Error {
+  constructor(message, { status, errors, retryable = true } = {}) {
+    super(message);
+    this.name = "GraphqlError";
+    this.status = status;
+    this.errors = errors;
+    this.retryable = retryable;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * minDelay * 2^attempt, capped at maxDelay.
+ */
+export function backoffDelay(attempt, { minDelay, maxDelay }) {
+  return Math.round(
+    Math.random() * Math.min(maxDelay, minDelay * 2 ** attempt),
+  );
+}
+
+/**
+ * Call `fn` until it resolves, retrying retryable errors with backoff.
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn
+ * @param {Partial<typeof DEFAULT_RETRY_OPTIONS> & {onRetry?: (error: Error, attempt: number) => void}} [options]
+ * @returns {Promise<T>}
+ */
+export async function withRetry(fn, options = {}) {
+  const { retries, onRetry, ...delays } = {
+    ...DEFAULT_RETRY_OPTIONS,
+    ...options,
+  };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      if (attempt >= retries || e.retryable === false) {
+        throw e;
+      }
+      onRetry?.(e, attempt + 1);
+      await sleep(backoffDelay(attempt, delays));
     }
-  ).then((response) => response.json());
+  }
+}
+
+/**
+ * Make a single request to Aurora, throwing a GraphqlError on timeouts,
+ * network failures, non-2xx responses and GraphQL `errors`. With `partial`,
+ * a response that has both `data` and `errors` is returned for the caller to
+ * pick apart.
+ */
+async function graphqlRequest(query, { timeout, partial }) {
+  let response;
+  try {
+    response = await fetch(
+      `${process.env.AURORA_ENDPOINT}?x-api-key=${process.env.AURORA_API_KEY}`,
+      {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          query,
+        }),
+        redirect: "follow",
+        signal: AbortSignal.timeout(timeout),
+      },
+    );
+  } catch (e) {
+    throw new GraphqlError(
+      e.name === "TimeoutError"
+        ? `Request timed out after ${timeout}ms`
+        : `Network error: ${e.message}`,
+    );
+  }
+
+  if (!response.ok) {
+    throw new GraphqlError(`HTTP ${response.status}`, {
+      status: response.status,
+      retryable: response.status >= 500 || response.status === 429,
+    });
+  }
+
+  const json = await response.json();
+  if (json.errors?.length && !(partial && json.data)) {
+    throw new GraphqlError(
+      `GraphQL error: ${json.errors.map((error) => error.message).join("; ")}`,
+      { status: response.status, errors: json.errors },
+    );
+  }
+  return json;
+}
+
+/**
+ * Query Aurora, retrying with backoff on failure.
+ * @param {string} query
+ * @param {Parameters<typeof withRetry>[1] & {partial?: boolean}} [options]
+ */
+export async function graphqlQuery(query, options = {}) {
+  const { timeout, partial = false } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  return withRetry(() => graphqlRequest(query, { timeout, partial }), options);
 }
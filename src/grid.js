@@ -0,0 +1,183 @@
+/**
+ * @file
+ * Interpolate station readings onto a regular longitude/latitude grid with
+ * inverse distance weighting (IDW), for animated heat maps.
+ *
+ * Distances from every cell to every station are worked out once with turf,
+ * so each time step is only a weighted sum. Cells outside the optional mask
+ * polygons, or with no station within `maxDistance`, are null.
+ */
+import { booleanPointInPolygon, distance, point } from "@turf/turf";
+
+/** [west, south, east, north] covering mainland Australia and Tasmania */
+export const AUSTRALIA_BBOX = [112, -44, 154, -10];
+
+export const DEFAULT_GRID_OPTIONS = {
+  bbox: AUSTRALIA_BBOX,
+  resolution: 0.5,
+  step: 60,
+  power: 2,
+  maxDistance: 300,
+};
+
+/**
+ * @typedef {Object} Grid
+ * @property {number} west
+ * @property {number} north
+ * @property {number} resolution - Degrees per cell
+ * @property {number} cols
+ * @property {number} rows
+ * @property {[number, number][]} cells - [longitude, latitude] of each cell's
+ * centre, row by row from the north-west corner
+ */
+
+/**
+ * @param {[number, number, number, number]} bbox - [west, south, east, north]
+ * @param {number} resolution - Degrees per cell
+ * @returns {Grid}
+ */
+export function createGrid([west, south, east, north], resolution) {
+  if (!(resolution > 0) || west >= east || south >= north) {
+    throw new Error(
+      `Invalid grid: bbox ${[west, south, east, north].join(",")} at ${resolution}°`,
+    );
+  }
+  const cols = Math.ceil((east - west) / resolution);
+  const rows = Math.ceil((north - south) / resolution);
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      cells.push([
+        west + (col + 0.5) * resolution,
+        north - (row + 0.5) * resolution,
+      ]);
+    }
+  }
+  return { west, north, resolution, cols, rows, cells };
+}
+
+/**
+ * For each cell, the stations within maxDistance and their IDW weights
+ * @param {Grid} grid
+ * @param {{auroraId: string, longitude: number, latitude: number}[]} stations
+ * @param {Object} options
+ * @param {number} options.power
+ * @param {number} options.maxDistance - Kilometres
+ * @param {import('geojson').Feature[]} [options.mask] - Polygons to keep
+ * @returns {({auroraId: string, weight: number}[]|null)[]} Null for masked
+ * cells. A weight of Infinity means the station is on the cell centre.
+ */
+export function cellWeights(grid, stations, { power, maxDistance, mask }) {
+  return grid.cells.map((cell) => {
+    if (
+      mask &&
+      !mask.some((feature) => booleanPointInPolygon(point(cell), feature))
+    ) {
+      return null;
+    }
+    const weights = [];
+    for (const station of stations) {
+      const km = distance(cell, [station.longitude, station.latitude]);
+      if (km <= maxDistance) {
+        weights.push({ auroraId: station.auroraId, weight: 1 / km ** power });
+      }
+    }
+    return weights;
+  });
+}
+
+/**
+ * Each station's last reading in every step, like rollupSeries
+ * @param {Object<string, [number, number][]>} series
+ * @param {number} step - Minutes
+ * @returns {Map<number, Map<string, number>>} Values by step start, then auroraId
+ */
+export function valuesByStep(series, step) {
+  const steps = new Map();
+  for (const [auroraId, points] of Object.entries(series)) {
+    for (const [x, value] of points) {
+      const start = Math.floor(x / step) * step;
+      if (!steps.has(start)) steps.set(start, new Map());
+      steps.get(start).set(auroraId, value);
+    }
+  }
+  return new Map([...steps].sort((a, b) => a[0] - b[0]));
+}
+
+/**
+ * Interpolate one step's readings onto the grid
+ * @param {ReturnType<typeof cellWeights>} weights
+ * @param {Map<string, number>} values - By auroraId
+ * @returns {(number|null)[]}
+ */
+export function interpolate(weights, values) {
+  return weights.map((cell) => {
+    if (!cell) return null;
+    let sum = 0;
+    let total = 0;
+    for (const { auroraId, weight } of cell) {
+      const value = values.get(auroraId);
+      if (value === undefined) continue;
+      if (weight === Infinity) return value;
+      sum += weight * value;
+      total += weight;
+    }
+    return total ? sum / total : null;
+  });
+}
+
+/**
+ * Interpolate a dataset from getTimeSeriesForColumn onto a grid. Values are
+ * quantised to integers at `precision`, like the columnar format.
+ *
+ * @param {Object} dataset
+ * @param {{auroraId: string, longitude: number, latitude: number}[]} locations
+ * @param {Object} options
+ * @param {[number, number, number, number]} [options.bbox]
+ * @param {number} [options.resolution] - Degrees
+ * @param {number} [options.step] - Minutes between frames
+ * @param {number} [options.power] - IDW power
+ * @param {number} [options.maxDistance] - Kilometres
+ * @param {import('geojson').Feature[]} [options.mask]
+ * @param {number} options.precision - Decimal places to keep
+ * @returns {Object} The dataset's metadata with `grid` and `frames` instead of
+ * `series`. Each frame is [minute offset, values row by row from the
+ * north-west corner], with null for masked or empty cells.
+ */
+export function gridDataset(dataset, locations, options) {
+  const {
+    bbox = DEFAULT_GRID_OPTIONS.bbox,
+    resolution = DEFAULT_GRID_OPTIONS.resolution,
+    step = DEFAULT_GRID_OPTIONS.step,
+    power = DEFAULT_GRID_OPTIONS.power,
+    maxDistance = DEFAULT_GRID_OPTIONS.maxDistance,
+    mask,
+    precision,
+  } = options;
+  const { series, ...metadata } = dataset;
+  const grid = createGrid(bbox, resolution);
+  const stations = locations.filter((location) => series[location.auroraId]);
+  const weights = cellWeights(grid, stations, { power, maxDistance, mask });
+  const scale = 10 ** precision;
+
+  const frames = [...valuesByStep(series, step)].map(([x, values]) => [
+    x,
+    interpolate(weights, values).map((value) =>
+      value === null ? null : Math.round(value * scale),
+    ),
+  ]);
+
+  return {
+    ...metadata,
+    grid: {
+      west: grid.west,
+      north: grid.north,
+      resolution,
+      cols: grid.cols,
+      rows: grid.rows,
+    },
+    step,
+    precision,
+    frames,
+  };
+}
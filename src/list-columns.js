@@ -0,0 +1,28 @@
+/**
+ * @file
+ * Print every column that can be generated, its type, and how many rows in the
+ * current database have a value for it.
+ */
+import { getColumnCoverage } from "./columns.js";
+import { closeDatabase, initializeDatabase } from "./sqlite.js";
+import logger from "./logger.js";
+
+export default async function listColumns({ databasePath } = {}) {
+  const db = await initializeDatabase(databasePath);
+  const coverage = getColumnCoverage(db);
+
+  logger.info("%d rows in weather_data", coverage[0]?.total ?? 0);
+  for (const { column, type, count, total } of coverage) {
+    logger.info(
+      "%s %s %s%% (%d rows)%s",
+      column.padEnd(24),
+      type.padEnd(4),
+      (total ? (count / total) * 100 : 0).toFixed(1).padStart(5),
+      count,
+      type === "REAL" ? "" : " [needs --allow-text]",
+    );
+  }
+
+  closeDatabase();
+  return coverage;
+}
@@ -0,0 +1,133 @@
+/**
+ * @file
+ * Station metadata from au.geo.json: names, coordinates, and the state each
+ * station is in.
+ *
+ * au.geo.json has no state property, so it's inferred from the BoM station
+ * number, whose first digits are the BoM rainfall district. ACT stations are
+ * in NSW districts, and offshore and external territory stations (200xxx)
+ * have no state.
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const __dirname = path.dirname(new URL(import.meta.url).pathname);
+
+export const DEFAULT_GEOJSON_FILE = path.resolve(
+  __dirname,
+  "../data/au.geo.json",
+);
+
+export const STATES = ["WA", "NT", "SA", "QLD", "NSW", "VIC", "TAS"];
+
+export const LOCATIONS_FILENAME = "locations.json";
+
+/** Three decimal places is about 100m, plenty for placing a station on a map */
+const COORDINATE_DECIMALS = 3;
+
+/** [first district, last district, state] */
+const DISTRICT_STATES = [
+  [1, 13, "WA"],
+  [14, 15, "NT"],
+  [16, 26, "SA"],
+  [27, 45, "QLD"],
+  [46, 75, "NSW"],
+  [76, 90, "VIC"],
+  [91, 99, "TAS"],
+  [100, 199, "WA"],
+];
+
+/**
+ * @param {string} bomId - e.g. "040043"
+ * @returns {string|null} e.g. "QLD"
+ */
+export function stateForBomId(bomId) {
+  if (!/^\d{6}$/.test(bomId ?? "")) {
+    return null;
+  }
+  const district = Number(bomId.substring(0, 3));
+  const match = DISTRICT_STATES.find(
+    ([first, last]) => district >= first && district <= last,
+  );
+  return match?.[2] ?? null;
+}
+
+/**
+ * @typedef {Object} Location
+ * @property {string} auroraId
+ * @property {string} name
+ * @property {string|null} bomId
+ * @property {string|null} state
+ * @property {number} longitude
+ * @property {number} latitude
+ */
+
+/**
+ * Every location in au.geo.json with an Aurora ID
+ * @param {string} [geojsonPath]
+ * @returns {Promise<Location[]>}
+ */
+export async function readLocations(geojsonPath = DEFAULT_GEOJSON_FILE) {
+  const geojson = JSON.parse(await fs.readFile(geojsonPath, "utf8"));
+  return geojson.features
+    .filter((feature) => feature.properties.auroraId)
+    .map(({ properties, geometry }) => ({
+      auroraId: properties.auroraId,
+      name: properties.name,
+      bomId: properties.bomId ?? null,
+      state: stateForBomId(properties.bomId),
+      longitude: geometry.coordinates[0],
+      latitude: geometry.coordinates[1],
+    }));
+}
+
+/**
+ * Pick locations by Aurora ID, state or name (case insensitive)
+ * @param {Location[]} locations
+ * @param {string[]} selectors - e.g. ["QLD", "Canberra Airport", "loc39f58b228284"]
+ * @returns {Location[]}
+ * @throws {Error} If a selector matches nothing
+ */
+export function selectLocations(locations, selectors) {
+  const selected = new Set();
+  for (const selector of selectors.map((s) => s.trim()).filter(Boolean)) {
+    const lower = selector.toLowerCase();
+    const matches = locations.filter(
+      (location) =>
+        location.auroraId === selector ||
+        location.state?.toLowerCase() === lower ||
+        location.name.toLowerCase() === lower,
+    );
+    if (!matches.length) {
+      throw new Error(
+        `No locations match "${selector}". Use an Aurora ID, a station name or one of ${STATES.join(", ")}.`,
+      );
+    }
+    matches.forEach((location) => selected.add(location));
+  }
+  return locations.filter((location) => selected.has(location));
+}
+
+const roundCoordinate = (value) =>
+  Math.round(value * 10 ** COORDINATE_DECIMALS) / 10 ** COORDINATE_DECIMALS;
+
+/**
+ * The compact locations.json published next to the datasets, so the frontend
+ * doesn't need au.geo.json. Only locations with data are listed.
+ * @param {Location[]} locations
+ * @param {Map<string, string[]>} columnsWithData - The columns each auroraId
+ * has data for
+ * @returns {{id: string, name: string, lat: number, lon: number, state: string|null, columns: string[]}[]}
+ */
+export function locationsAsset(locations, columnsWithData) {
+  return locations
+    .filter((location) => columnsWithData.get(location.auroraId)?.length)
+    .map((location) => ({
+      id: location.auroraId,
+      name: location.name,
+      lat: roundCoordinate(location.latitude),
+      lon: roundCoordinate(location.longitude),
+      state: location.state,
+      columns: columnsWithData.get(location.auroraId),
+    }));
+}
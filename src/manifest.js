@@ -0,0 +1,52 @@
+/**
+ * @file
+ * Content-hash manifests, so unchanged assets aren't rewritten or re-uploaded.
+ *
+ * generate-datasets keeps a manifest.json in the assets directory with the hash
+ * of each file's data (ignoring `updatedDate`, which changes on every run).
+ * upload-s3 keeps the hash of everything it has uploaded in a manifest next to
+ * the uploads in the bucket.
+ */
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const MANIFEST_FILENAME = "manifest.json";
+export const UPLOAD_MANIFEST_FILENAME = "upload-manifest.json";
+
+/**
+ * @param {string|Buffer} content
+ * @returns {string} Hex sha256
+ */
+export function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Hash a generated dataset by its data alone, so a regenerated file with the
+ * same observations has the same hash.
+ * @param {{updatedDate?: string}} dataset
+ */
+export function hashDataset({ updatedDate, ...data }) {
+  return hashContent(JSON.stringify(data));
+}
+
+/**
+ * @param {string} manifestPath
+ * @returns {Promise<Object<string, {hash: string}>>} Empty if there's no manifest yet
+ */
+export async function readManifest(manifestPath) {
+  try {
+    return JSON.parse(await fs.readFile(manifestPath, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") {
+      return {};
+    }
+    throw e;
+  }
+}
+
+export async function writeManifest(manifestPath, manifest) {
+  await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+}
@@ -0,0 +1,117 @@
+/**
+ * @file
+ * Unit conversions and derived meteorological variables, computed from the
+ * stored columns at generation time (see DERIVED_COLUMNS in columns.js).
+ */
+
+/**
+ * @param {number} celsius
+ * @returns {number} Fahrenheit
+ */
+export function celsiusToFahrenheit(celsius) {
+  return (celsius * 9) / 5 + 32;
+}
+
+/**
+ * @param {number} fahrenheit
+ * @returns {number} Celsius
+ */
+export function fahrenheitToCelsius(fahrenheit) {
+  return ((fahrenheit - 32) * 5) / 9;
+}
+
+/**
+ * @param {number} kmh
+ * @returns {number} Metres per second
+ */
+export function kmhToMs(kmh) {
+  return kmh / 3.6;
+}
+
+/**
+ * Saturation vapour pressure over water, with the Tetens equation as used in
+ * FAO-56 (eq. 11)
+ * @param {number} tempC
+ * @returns {number} kPa
+ */
+export function saturationVapourPressure(tempC) {
+  return 0.6108 * Math.exp((17.27 * tempC) / (tempC + 237.3));
+}
+
+/**
+ * Vapour pressure deficit: how far the air is from saturation
+ * @param {number} tempC
+ * @param {number} relativeHumidityPct
+ * @returns {number} kPa
+ */
+export function vapourPressureDeficit(tempC, relativeHumidityPct) {
+  return saturationVapourPressure(tempC) * (1 - relativeHumidityPct / 100);
+}
+
+/**
+ * The US National Weather Service heat index: the Rothfusz regression with
+ * its low and high humidity adjustments, or Steadman's simpler formula when
+ * that gives less than 80°F.
+ * https://www.wpc.ncep.noaa.gov/html/heatindex_equation.shtml
+ * @param {number} tempC
+ * @param {number} relativeHumidityPct
+ * @returns {number} °C
+ */
+export function heatIndex(tempC, relativeHumidityPct) {
+  const t = celsiusToFahrenheit(tempC);
+  const rh = relativeHumidityPct;
+
+  const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if ((simple + t) / 2 < 80) {
+    return fahrenheitToCelsius(simple);
+  }
+
+  let hi =
+    -42.379 +
+    2.04901523 * t +
+    10.14333127 * rh -
+    0.22475541 * t * rh -
+    0.00683783 * t * t -
+    0.05481717 * rh * rh +
+    0.00122874 * t * t * rh +
+    0.00085282 * t * rh * rh -
+    0.00000199 * t * t * rh * rh;
+  if (rh < 13 && t >= 80 && t <= 112) {
+    hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+  } else if (rh > 85 && t >= 80 && t <= 87) {
+    hi += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+  return fahrenheitToCelsius(hi);
+}
+
+/**
+ * The Bureau of Meteorology's apparent temperature (Steadman 1994, without
+ * radiation), which Aurora reports as feelsLikeTempC.
+ * http://www.bom.gov.au/info/thermal_stress/
+ * @param {number} tempC
+ * @param {number} relativeHumidityPct
+ * @param {number} windMs - At 10m
+ * @returns {number} °C
+ */
+export function apparentTemperature(tempC, relativeHumidityPct, windMs) {
+  const vapourPressureHpa =
+    (relativeHumidityPct / 100) *
+    6.105 *
+    Math.exp((17.27 * tempC) / (237.7 + tempC));
+  return tempC + 0.33 * vapourPressureHpa - 0.7 * windMs - 4;
+}
+
+/**
+ * Split a wind into eastward (u) and northward (v) components. Directions are
+ * where the wind blows from, so a northerly has a negative v.
+ * @param {number} speed - Any unit; the components are in the same one
+ * @param {number} directionDeg - Clockwise from north
+ * @returns {{u: number, v: number}}
+ */
+export function windComponents(speed, directionDeg) {
+  const radians = (directionDeg * Math.PI) / 180;
+  return {
+    u: -speed * Math.sin(radians),
+    v: -speed * Math.cos(radians),
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * @file
+ * Report on or apply the database migrations in src/migrations/
+ */
+import { closeDatabase, initializeDatabase } from "./sqlite.js";
+import { getMigrationStatus, runMigrations } from "./migrations/runner.js";
+import logger from "./logger.js";
+
+export default async function migrate({
+  action = "up",
+  dryRun = false,
+  allowDrop = false,
+  databasePath,
+  geojsonPath,
+} = {}) {
+  const db = await initializeDatabase(databasePath, geojsonPath, {
+    migrate: false,
+  });
+
+  try {
+    if (action === "status") {
+      const status = await getMigrationStatus(db);
+      for (const { name, repeatable, appliedAt } of status) {
+        logger.info(
+          "%s %s%s",
+          appliedAt ? `applied ${appliedAt}` : "pending".padEnd(32),
+          name,
+          repeatable ? " (repeatable)" : "",
+        );
+      }
+      return status;
+    }
+
+    if (action !== "up") {
+      throw new Error(`Unknown migrate action "${action}", use status or up`);
+    }
+
+    const applied = await runMigrations(db, {
+      dryRun,
+      allowDrop,
+      geojsonPath,
+    });
+    logger.info(
+      "%s %d migrations",
+      dryRun ? "Would apply" : "Applied",
+      applied.length,
+    );
+    return applied;
+  } finally {
+    closeDatabase();
+  }
+}
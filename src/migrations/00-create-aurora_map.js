@@ -10,6 +10,10 @@ export const SCHEMA_MAPPING = {
   name: "TEXT NOT NULL",
 };
 
+export async function up(dbInstance) {
+  await createAuroraMap(dbInstance);
+}
+
 /**
  * Creates the aurora_map table and populates it if empty
  * @param {import('node:sqlite').DatabaseSync} dbInstance
@@ -7,6 +7,7 @@ export const SCHEMA_MAPPING = {
   startTime: "TEXT",
   endTime: "TEXT",
   generationTime: "TEXT",
+  generationEpoch: "INTEGER", // generationTime as UTC unix seconds, for range queries
   averageWindSpeedKm: "REAL",
   maximumGustKmh: "REAL",
   dewPointC: "REAL",
@@ -27,7 +28,7 @@ export const SCHEMA_MAPPING = {
   maximumTempLocalTimeUTC: "TEXT",
   minimumTempLocalTime: "TEXT", // same 👆
   minimumTempLocalTimeUTC: "TEXT",
-  cloudOktas: "text",
+  cloudOktas: "REAL", // Was "text" before 07-normalise-text-columns
   averageWindSpdKnots: "REAL",
   cloud: "TEXT",
   dayName: "TEXT",
@@ -38,8 +39,13 @@ export const SCHEMA_MAPPING = {
   rainTen: "REAL",
   visibilityKm: "REAL",
   windGustSpdKnots: "REAL",
+  qcFlags: "TEXT", // JSON of failed quality checks by column, see qc.js
 };
 
+export function up(dbInstance) {
+  createWeatherData(dbInstance);
+}
+
 export function createWeatherData(dbInstance) {
   // 1. Generate the SQL for the table columns
   const columnsSql = Object.entries(SCHEMA_MAPPING)
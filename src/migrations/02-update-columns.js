@@ -1,13 +1,28 @@
 /**
  * @file
  * Update the sqlite db to match the schema, adding or removing columns as
- * needed. Danger: this will delete data from removed columns so make sure to
- * write your own migration if you have any archival requirements.
+ * needed. New columns are added in place with ALTER TABLE. Columns removed
+ * from SCHEMA_MAPPING are left alone unless `allowDrop` is set
+ * (`node . migrate up --allow-drop`), in which case their values are copied to
+ * weather_data_archive before the column is dropped.
+ *
+ * This migration is repeatable: it runs on every startup so the table always
+ * matches SCHEMA_MAPPING.
  */
 import { SCHEMA_MAPPING } from "./01-create-weather_data.js";
 import logger from "../logger.js";
 
 const TABLE_NAME = "weather_data";
+export const ARCHIVE_TABLE_NAME = `${TABLE_NAME}_archive`;
+
+/** Columns that identify a row, so archived values can be traced back */
+const KEY_COLUMNS = ["auroraId", "generationTime", "fetchTime"];
+
+export const repeatable = true;
+
+export function up(db, { allowDrop = false } = {}) {
+  return updateColumns(db, { allowDrop });
+}
 
 /**
  * Gets the current table schema from SQLite
@@ -39,76 +54,98 @@ function compareSchemas(currentColumns, expectedMapping) {
 }
 
 /**
- * Migrates table to new schema using temp table approach
+ * Adds columns in place, without copying the table
  */
-function migrateTable(db, tableName, expectedMapping) {
-  const tempTableName = `${tableName}_temp_${Date.now()}`;
-
-  logger.info("Starting schema migration for %s", tableName);
-
-  // 1. Create temp table with new schema
-  const columnsSql = Object.entries(expectedMapping)
-    .map(([columnName, dataType]) => `${columnName} ${dataType}`)
-    .join(", \n  ");
-
-  const createTempTableSql = `
-CREATE TABLE ${tempTableName} (
-  ${columnsSql},
-  UNIQUE (auroraId, generationTime)
-) STRICT;`;
-
-  db.exec(createTempTableSql);
-
-  // 2. Copy existing data (only columns that exist in both schemas)
-  const currentSchema = getCurrentSchema(db, tableName);
-  const commonColumns = Object.keys(expectedMapping).filter((col) =>
-    currentSchema.some((currentCol) => currentCol.name === col),
-  );
-
-  if (commonColumns.length > 0) {
-    const columnsList = commonColumns.join(", ");
-
-    const copyDataSql = `
-INSERT OR IGNORE INTO ${tempTableName} (${columnsList})
-SELECT ${columnsList} FROM ${tableName}`;
-
-    const copyStmt = db.prepare(copyDataSql);
-    const result = copyStmt.run();
-    logger.info("Copied %d rows to temp table", result.changes);
+function addColumns(db, tableName, columns, expectedMapping) {
+  for (const column of columns) {
+    db.exec(
+      `ALTER TABLE ${tableName} ADD COLUMN ${column} ${expectedMapping[column]}`,
+    );
+    logger.info("Added column %s.%s", tableName, column);
   }
+}
 
-  // 3. Drop old table
-  db.exec(`DROP TABLE ${tableName}`);
-
-  // 4. Rename temp table to original name
-  db.exec(`ALTER TABLE ${tempTableName} RENAME TO ${tableName}`);
-
-  // 5. Recreate indexes
+/**
+ * Copies every non-null value of the given columns into the archive table, in
+ * long format so columns of any type can share it
+ * @returns {number} The number of values archived
+ */
+function archiveColumns(db, tableName, columns) {
   db.exec(`
-CREATE INDEX IF NOT EXISTS idx_timeseries ON ${tableName} (auroraId, fetchTime);
-`);
-
-  logger.info("Schema migration completed for %s", tableName);
+CREATE TABLE IF NOT EXISTS ${ARCHIVE_TABLE_NAME} (
+  auroraId TEXT NOT NULL,
+  generationTime TEXT,
+  fetchTime TEXT NOT NULL,
+  columnName TEXT NOT NULL,
+  value ANY,
+  archivedAt TEXT NOT NULL
+) STRICT;`);
+
+  const archivedAt = new Date().toISOString();
+  let archived = 0;
+  for (const column of columns) {
+    const result = db
+      .prepare(
+        `
+INSERT INTO ${ARCHIVE_TABLE_NAME} (${KEY_COLUMNS.join(", ")}, columnName, value, archivedAt)
+SELECT ${KEY_COLUMNS.join(", ")}, ?, ${column}, ?
+FROM ${tableName}
+WHERE ${column} IS NOT NULL`,
+      )
+      .run(column, archivedAt);
+    logger.info(
+      "Archived %d values from %s.%s to %s",
+      result.changes,
+      tableName,
+      column,
+      ARCHIVE_TABLE_NAME,
+    );
+    archived += Number(result.changes);
+  }
+  return archived;
 }
 
 /**
  * Main migration function
+ * @param {import('node:sqlite').DatabaseSync} db
+ * @param {{allowDrop?: boolean}} [options]
  */
-export function updateColumns(db) {
+export function updateColumns(db, { allowDrop = false } = {}) {
   // Check if table exists and get current schema
   let currentSchema = getCurrentSchema(db, TABLE_NAME);
 
   // Compare schemas
-  const schemaComparison = compareSchemas(currentSchema, SCHEMA_MAPPING);
+  const { needsMigration, missingColumns, extraColumns } = compareSchemas(
+    currentSchema,
+    SCHEMA_MAPPING,
+  );
+
+  if (!needsMigration) {
+    return;
+  }
 
-  if (!schemaComparison.needsMigration) {
+  addColumns(db, TABLE_NAME, missingColumns, SCHEMA_MAPPING);
+
+  if (!extraColumns.length) {
     return;
   }
 
-  migrateTable(db, TABLE_NAME, SCHEMA_MAPPING);
+  if (!allowDrop) {
+    logger.warn(
+      "Columns %s are no longer in SCHEMA_MAPPING. Keeping them; run `node . migrate up --allow-drop` to archive and drop them.",
+      extraColumns.join(", "),
+    );
+    return;
+  }
 
-  // Run VACUUM to optimize database after schema changes
-  db.exec("VACUUM");
+  archiveColumns(db, TABLE_NAME, extraColumns);
+  for (const column of extraColumns) {
+    db.exec(`ALTER TABLE ${TABLE_NAME} DROP COLUMN ${column}`);
+    logger.info("Dropped column %s.%s", TABLE_NAME, column);
+  }
 
   logger.info("Migration completed successfully");
+
+  // Run VACUUM to reclaim the space from dropped columns
+  return { vacuum: true };
 }
@@ -4,6 +4,9 @@
  * au.geo.json to match. This means most if not all of our Aurora IDs have
  * changed, and we need to start over. This migration removes data for IDs that
  * don't exist in au.geo.json.
+ *
+ * Like every migration it only runs once. Stations dropped from au.geo.json
+ * later are removed with `node . remove-old-locations` (remove-old-locations.js).
  */
 import fs from "node:fs/promises";
 import path from "node:path";
@@ -13,6 +16,10 @@ const TABLE_NAME = "weather_data";
 const __dirname = path.dirname(new URL(import.meta.url).pathname);
 const DEFAULT_GEOJSON_FILE = path.resolve(__dirname, "../../data/au.geo.json");
 
+export async function up(db, { geojsonPath } = {}) {
+  return removeOldLocations(db, geojsonPath);
+}
+
 /**
  * Main migration function
  */
@@ -47,8 +54,8 @@ export async function removeOldLocations(
 
   logger.info("Removed %d rows with old Aurora IDs", result.changes);
 
-  // 3. Run VACUUM to optimize database
-  db.exec("VACUUM");
-
   logger.info("Migration completed successfully");
+
+  // 3. Run VACUUM to optimize database
+  return { vacuum: true };
 }
@@ -0,0 +1,64 @@
+/**
+ * @file
+ * Audit tables for fetchWeatherCron. Every execution gets a row in fetch_runs,
+ * and every location it attempted gets a row in fetch_results.
+ */
+export const RUNS_TABLE_NAME = "fetch_runs";
+export const RESULTS_TABLE_NAME = "fetch_results";
+
+export const RUNS_SCHEMA_MAPPING = {
+  id: "INTEGER PRIMARY KEY",
+  startTime: "TEXT NOT NULL", // ISO 8601
+  endTime: "TEXT", // null while the run is in progress, or if it crashed
+  mode: "TEXT NOT NULL", // "cron" or "backfill"
+  hours: "INTEGER",
+  locations: "INTEGER",
+  succeeded: "INTEGER",
+  failed: "INTEGER",
+  retried: "INTEGER",
+  inserted: "INTEGER",
+  duplicates: "INTEGER",
+  budgetExceeded: "INTEGER",
+};
+
+export const RESULTS_SCHEMA_MAPPING = {
+  runId: "INTEGER NOT NULL",
+  auroraId: "TEXT NOT NULL",
+  status: "TEXT NOT NULL", // "inserted", "duplicate" or "failed"
+  received: "INTEGER",
+  inserted: "INTEGER",
+  retried: "INTEGER",
+  error: "TEXT",
+};
+
+export function up(dbInstance) {
+  createFetchRuns(dbInstance);
+}
+
+/**
+ * @param {import('node:sqlite').DatabaseSync} dbInstance
+ */
+export function createFetchRuns(dbInstance) {
+  const runsColumnsSql = Object.entries(RUNS_SCHEMA_MAPPING)
+    .map(([columnName, dataType]) => `${columnName} ${dataType}`)
+    .join(", \n  ");
+
+  dbInstance.exec(`
+CREATE TABLE IF NOT EXISTS ${RUNS_TABLE_NAME} (
+  ${runsColumnsSql}
+) STRICT;`);
+
+  const resultsColumnsSql = Object.entries(RESULTS_SCHEMA_MAPPING)
+    .map(([columnName, dataType]) => `${columnName} ${dataType}`)
+    .join(", \n  ");
+
+  dbInstance.exec(`
+CREATE TABLE IF NOT EXISTS ${RESULTS_TABLE_NAME} (
+  ${resultsColumnsSql},
+  UNIQUE (runId, auroraId)
+) STRICT;`);
+
+  dbInstance.exec(`
+CREATE INDEX IF NOT EXISTS idx_fetch_results_location ON ${RESULTS_TABLE_NAME} (auroraId, runId);
+`);
+}
@@ -0,0 +1,29 @@
+/**
+ * @file
+ * 2026-10-19 - generationTime strings have varying UTC offsets, so range
+ * queries had to filter on unixepoch(generationTime), which can't use an
+ * index. generationEpoch stores the same instant as unix seconds. The column
+ * itself is added by 02-update-columns; this fills it in for existing rows and
+ * indexes it.
+ */
+import { TABLE_NAME } from "./01-create-weather_data.js";
+import logger from "../logger.js";
+
+/**
+ * @param {import('node:sqlite').DatabaseSync} db
+ */
+export function up(db) {
+  const result = db
+    .prepare(
+      `
+UPDATE ${TABLE_NAME}
+SET generationEpoch = unixepoch(generationTime)
+WHERE generationEpoch IS NULL AND generationTime IS NOT NULL`,
+    )
+    .run();
+  logger.info("Set generationEpoch for %d rows", result.changes);
+
+  db.exec(`
+CREATE INDEX IF NOT EXISTS idx_generation_epoch ON ${TABLE_NAME} (generationEpoch);
+`);
+}
@@ -0,0 +1,75 @@
+/**
+ * @file
+ * 2026-10-19 - cloudOktas was declared as lowercase "text", so Aurora's "5"
+ * was stored as a string and the column couldn't be generated. This converts
+ * it to a REAL column in place, and fills in cloudOktas and windDirDeg from
+ * the cloud and windDir descriptions where they're missing, the same way
+ * normaliseObservation does for new rows.
+ */
+import { TABLE_NAME } from "./01-create-weather_data.js";
+import { caseSql, CLOUD_OKTAS, COMPASS_DEGREES } from "../normalise.js";
+import logger from "../logger.js";
+
+/** Holds the old text values while the REAL column is filled in */
+const OLD_COLUMN = "cloudOktasText";
+
+/**
+ * @param {import('node:sqlite').DatabaseSync} db
+ */
+export function up(db) {
+  let vacuum = false;
+  const cloudOktas = db
+    .prepare(`PRAGMA table_info(${TABLE_NAME})`)
+    .all()
+    .find((column) => column.name === "cloudOktas");
+
+  if (cloudOktas && cloudOktas.type.toUpperCase() !== "REAL") {
+    db.exec(
+      `ALTER TABLE ${TABLE_NAME} RENAME COLUMN cloudOktas TO ${OLD_COLUMN}`,
+    );
+    db.exec(`ALTER TABLE ${TABLE_NAME} ADD COLUMN cloudOktas REAL`);
+    // Only digits with at most one decimal point between them, so stray text
+    // like "n/a" or "5.5.5" is dropped rather than cast to 0 or 5.5
+    const value = `trim(${OLD_COLUMN})`;
+    const result = db
+      .prepare(
+        `
+UPDATE ${TABLE_NAME}
+SET cloudOktas = CAST(${value} AS REAL)
+WHERE ${value} GLOB '[0-9]*'
+AND NOT ${value} GLOB '*[^0-9.]*'
+AND NOT ${value} GLOB '*.*.*'
+AND NOT ${value} GLOB '*.'`,
+      )
+      .run();
+    db.exec(`ALTER TABLE ${TABLE_NAME} DROP COLUMN ${OLD_COLUMN}`);
+    logger.info("Converted %d cloudOktas values to numbers", result.changes);
+    vacuum = true;
+  }
+
+  const fills = [
+    ["cloudOktas", "cloud", CLOUD_OKTAS],
+    ["windDirDeg", "windDir", COMPASS_DEGREES],
+  ];
+  for (const [column, source, mapping] of fills) {
+    const result = db
+      .prepare(
+        `
+UPDATE ${TABLE_NAME}
+SET ${column} = ${caseSql(source, mapping)}
+WHERE ${column} IS NULL
+AND ${source} IN (${Object.keys(mapping)
+          .map(() => "?")
+          .join(", ")})`,
+      )
+      .run(...Object.keys(mapping));
+    logger.info(
+      "Filled in %s from %s for %d rows",
+      column,
+      source,
+      result.changes,
+    );
+  }
+
+  return { vacuum };
+}
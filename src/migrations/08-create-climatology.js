@@ -0,0 +1,41 @@
+/**
+ * @file
+ * Baselines for anomaly datasets, built by `node . build-climatology` (see
+ * climatology.js): the distribution of each column at each station for each
+ * local day of the year and hour.
+ */
+export const CLIMATOLOGY_TABLE_NAME = "climatology";
+
+export const CLIMATOLOGY_SCHEMA_MAPPING = {
+  auroraId: "TEXT NOT NULL",
+  columnName: "TEXT NOT NULL",
+  dayOfYear: "INTEGER NOT NULL", // 1-365, with 29 February counted as the 28th
+  hour: "INTEGER NOT NULL", // 0-23, local to the station
+  count: "INTEGER NOT NULL",
+  mean: "REAL NOT NULL",
+  p0: "REAL NOT NULL",
+  p5: "REAL NOT NULL",
+  p10: "REAL NOT NULL",
+  p25: "REAL NOT NULL",
+  p50: "REAL NOT NULL",
+  p75: "REAL NOT NULL",
+  p90: "REAL NOT NULL",
+  p95: "REAL NOT NULL",
+  p100: "REAL NOT NULL",
+  builtAt: "TEXT NOT NULL", // ISO 8601
+};
+
+/**
+ * @param {import('node:sqlite').DatabaseSync} db
+ */
+export function up(db) {
+  const columnsSql = Object.entries(CLIMATOLOGY_SCHEMA_MAPPING)
+    .map(([columnName, dataType]) => `${columnName} ${dataType}`)
+    .join(", \n  ");
+
+  db.exec(`
+CREATE TABLE IF NOT EXISTS ${CLIMATOLOGY_TABLE_NAME} (
+  ${columnsSql},
+  PRIMARY KEY (auroraId, columnName, dayOfYear, hour)
+) STRICT;`);
+}
@@ -0,0 +1,66 @@
+/**
+ * @file
+ * Station records, kept up to date after every fetchWeatherCron (see
+ * records.js): the highest and lowest value of each tracked column at each
+ * station, for each local month and overall, with a log of every time one is
+ * broken.
+ */
+export const RECORDS_TABLE_NAME = "records";
+export const BREAKS_TABLE_NAME = "record_breaks";
+export const PROGRESS_TABLE_NAME = "records_progress";
+
+export const RECORDS_SCHEMA_MAPPING = {
+  auroraId: "TEXT NOT NULL",
+  columnName: "TEXT NOT NULL",
+  month: "INTEGER NOT NULL", // 1-12, local to the station, or 0 for any month
+  extreme: "TEXT NOT NULL", // "high" or "low"
+  value: "REAL NOT NULL",
+  time: "TEXT NOT NULL", // ISO 8601, when it was observed
+  updatedAt: "TEXT NOT NULL", // ISO 8601
+};
+
+export const BREAKS_SCHEMA_MAPPING = {
+  id: "INTEGER PRIMARY KEY",
+  runId: "INTEGER", // fetch_runs.id, if it was found after a fetch
+  detectedAt: "TEXT NOT NULL", // ISO 8601
+  auroraId: "TEXT NOT NULL",
+  columnName: "TEXT NOT NULL",
+  month: "INTEGER NOT NULL",
+  extreme: "TEXT NOT NULL",
+  oldValue: "REAL NOT NULL",
+  oldTime: "TEXT NOT NULL",
+  newValue: "REAL NOT NULL",
+  newTime: "TEXT NOT NULL",
+};
+
+/**
+ * @param {import('node:sqlite').DatabaseSync} db
+ */
+export function up(db) {
+  const columnsSql = (mapping) =>
+    Object.entries(mapping)
+      .map(([columnName, dataType]) => `${columnName} ${dataType}`)
+      .join(", \n  ");
+
+  db.exec(`
+CREATE TABLE IF NOT EXISTS ${RECORDS_TABLE_NAME} (
+  ${columnsSql(RECORDS_SCHEMA_MAPPING)},
+  PRIMARY KEY (auroraId, columnName, month, extreme)
+) STRICT;`);
+
+  db.exec(`
+CREATE TABLE IF NOT EXISTS ${BREAKS_TABLE_NAME} (
+  ${columnsSql(BREAKS_SCHEMA_MAPPING)}
+) STRICT;`);
+
+  db.exec(`
+CREATE INDEX IF NOT EXISTS idx_record_breaks_detected ON ${BREAKS_TABLE_NAME} (detectedAt);
+`);
+
+  // The fetchTime of the newest observation already counted
+  db.exec(`
+CREATE TABLE IF NOT EXISTS ${PROGRESS_TABLE_NAME} (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  lastFetchTime TEXT NOT NULL
+) STRICT;`);
+}
@@ -0,0 +1,19 @@
+/**
+ * @file
+ * 2026-10-19 - fetch-weather-cron reads each location's recent history before
+ * QC-checking its new rows (getObservations), with `auroraId = ? AND
+ * generationEpoch BETWEEN ? AND ?`. Neither idx_timeseries (auroraId,
+ * fetchTime) nor idx_generation_epoch covers both, so each of those queries
+ * read every row for the location. This index covers them, and detect-gaps'
+ * ORDER BY auroraId, generationEpoch.
+ */
+import { TABLE_NAME } from "./01-create-weather_data.js";
+
+/**
+ * @param {import('node:sqlite').DatabaseSync} db
+ */
+export function up(db) {
+  db.exec(`
+CREATE INDEX IF NOT EXISTS idx_location_epoch ON ${TABLE_NAME} (auroraId, generationEpoch);
+`);
+}
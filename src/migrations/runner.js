@@ -0,0 +1,134 @@
+/**
+ * @file
+ * Discover the numbered migrations in this directory and apply the ones that
+ * haven't been recorded in the schema_migrations table yet.
+ *
+ * Each migration module exports `up(db, context)`, which may return
+ * `{ vacuum: true }` if the database should be vacuumed afterwards (VACUUM
+ * can't run inside the migration's transaction). Modules that export
+ * `repeatable = true` run on every startup instead of once, for migrations that
+ * sync the database with code like SCHEMA_MAPPING.
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import logger from "../logger.js";
+
+const __dirname = path.dirname(new URL(import.meta.url).pathname);
+
+export const MIGRATIONS_TABLE_NAME = "schema_migrations";
+
+/** e.g. 04-remove-old-locations.js */
+const MIGRATION_FILE = /^\d+-.+\.js$/;
+
+/**
+ * @typedef {Object} Migration
+ * @property {string} name - File name without the extension
+ * @property {(db: import('node:sqlite').DatabaseSync, context: Object) => any} up
+ * @property {boolean} repeatable
+ */
+
+/**
+ * Import every migration in `dir`, in file name order.
+ * @returns {Promise<Migration[]>}
+ */
+export async function discoverMigrations(dir = __dirname) {
+  const files = (await fs.readdir(dir))
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort();
+  return Promise.all(
+    files.map(async (file) => {
+      const module = await import(pathToFileURL(path.join(dir, file)).href);
+      if (typeof module.up !== "function") {
+        throw new Error(`Migration ${file} does not export an up() function`);
+      }
+      return {
+        name: path.basename(file, ".js"),
+        up: module.up,
+        repeatable: Boolean(module.repeatable),
+      };
+    }),
+  );
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE_NAME} (
+  name TEXT NOT NULL PRIMARY KEY,
+  appliedAt TEXT NOT NULL
+) STRICT;`);
+}
+
+/**
+ * List every migration with the time it was last applied, or null if pending.
+ * @param {import('node:sqlite').DatabaseSync} db
+ * @param {Migration[]} [migrations]
+ */
+export async function getMigrationStatus(db, migrations) {
+  migrations ??= await discoverMigrations();
+  ensureMigrationsTable(db);
+  const applied = new Map(
+    db
+      .prepare(`SELECT name, appliedAt FROM ${MIGRATIONS_TABLE_NAME}`)
+      .all()
+      .map((row) => [row.name, row.appliedAt]),
+  );
+  return migrations.map(({ name, repeatable }) => ({
+    name,
+    repeatable,
+    appliedAt: applied.get(name) ?? null,
+  }));
+}
+
+/**
+ * Apply pending (and repeatable) migrations, each in its own transaction.
+ * @param {import('node:sqlite').DatabaseSync} db
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - List what would run without running it
+ * @param {Migration[]} [options.migrations] - Defaults to this directory
+ * @param {Object} [options.context] - Passed to each migration's up()
+ * @returns {Promise<string[]>} Names of the migrations that ran (or would run)
+ */
+export async function runMigrations(
+  db,
+  { dryRun = false, migrations, ...context } = {},
+) {
+  migrations ??= await discoverMigrations();
+  const status = await getMigrationStatus(db, migrations);
+  const pending = migrations.filter(
+    (migration, i) => migration.repeatable || !status[i].appliedAt,
+  );
+
+  if (dryRun) {
+    pending.forEach(({ name, repeatable }) =>
+      logger.info("Would apply %s%s", name, repeatable ? " (repeatable)" : ""),
+    );
+    return pending.map(({ name }) => name);
+  }
+
+  let vacuum = false;
+  for (const migration of pending) {
+    logger[migration.repeatable ? "debug" : "info"](
+      "Applying migration %s",
+      migration.name,
+    );
+    db.exec("BEGIN");
+    try {
+      const result = await migration.up(db, context);
+      db.prepare(
+        `INSERT OR REPLACE INTO ${MIGRATIONS_TABLE_NAME} (name, appliedAt) VALUES (?, ?)`,
+      ).run(migration.name, new Date().toISOString());
+      db.exec("COMMIT");
+      vacuum ||= Boolean(result?.vacuum);
+    } catch (e) {
+      db.exec("ROLLBACK");
+      e.message = `Migration ${migration.name} failed: ${e.message}`;
+      throw e;
+    }
+  }
+
+  if (vacuum) {
+    db.exec("VACUUM");
+  }
+  return pending.map(({ name }) => name);
+}
@@ -0,0 +1,104 @@
+/**
+ * @file
+ * Normalise the loosely typed fields in Aurora observations so they can be
+ * generated and aggregated like any other numeric column:
+ * - numeric strings in numeric columns, e.g. cloudOktas "5", become numbers,
+ *   and any other strings in them become null
+ * - windDir compass points fill in a missing windDirDeg
+ * - cloud descriptions fill in a missing cloudOktas
+ */
+import { SCHEMA_MAPPING } from "./migrations/01-create-weather_data.js";
+
+/** The 16 compass points, clockwise from north */
+const COMPASS_POINTS = [
+  "N",
+  "NNE",
+  "NE",
+  "ENE",
+  "E",
+  "ESE",
+  "SE",
+  "SSE",
+  "S",
+  "SSW",
+  "SW",
+  "WSW",
+  "W",
+  "WNW",
+  "NW",
+  "NNW",
+];
+
+/**
+ * Degrees for each compass point. CALM has no direction, so it's left out and
+ * stays null.
+ * @type {Object<string, number>}
+ */
+export const COMPASS_DEGREES = Object.fromEntries(
+  COMPASS_POINTS.map((point, i) => [point, i * 22.5]),
+);
+
+/**
+ * BoM cloud descriptions, each the middle of the oktas range it covers:
+ * mostly clear is 1–2 oktas, partly cloudy 3–5 and mostly cloudy 6–7
+ */
+export const CLOUD_OKTAS = {
+  Clear: 0,
+  "Mostly clear": 1.5,
+  "Partly cloudy": 4,
+  "Mostly cloudy": 6.5,
+  Cloudy: 8,
+};
+
+/** Stored columns that should hold numbers */
+const NUMERIC_COLUMNS = Object.keys(SCHEMA_MAPPING).filter((column) =>
+  /^(REAL|INTEGER)\b/i.test(SCHEMA_MAPPING[column]),
+);
+
+/**
+ * @param {any} value
+ * @returns {any} A number if `value` is a numeric string, otherwise `value`
+ */
+export function toNumber(value) {
+  if (typeof value !== "string" || !value.trim()) {
+    return value;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : value;
+}
+
+/**
+ * @param {Object<string, any>} data - A single item from Aurora's `values`
+ * @returns {Object<string, any>} A copy with the numeric fields normalised.
+ * Strings in numeric columns that aren't numbers, like "" or "-", become null,
+ * since weather_data is STRICT and would reject the whole row.
+ */
+export function normaliseObservation(data) {
+  const normalised = { ...data };
+  for (const column of NUMERIC_COLUMNS) {
+    if (column in normalised) {
+      const value = toNumber(normalised[column]);
+      normalised[column] = typeof value === "string" ? null : value;
+    }
+  }
+  if (normalised.windDirDeg == null && normalised.windDir != null) {
+    normalised.windDirDeg = COMPASS_DEGREES[normalised.windDir] ?? null;
+  }
+  if (normalised.cloudOktas == null && normalised.cloud != null) {
+    normalised.cloudOktas = CLOUD_OKTAS[normalised.cloud] ?? null;
+  }
+  return normalised;
+}
+
+/**
+ * SQL for a CASE expression mapping `column`'s text values to numbers, for
+ * converting rows in the database the same way
+ * @param {string} column
+ * @param {Object<string, number>} mapping
+ */
+export function caseSql(column, mapping) {
+  const whens = Object.entries(mapping).map(
+    ([text, number]) => `WHEN '${text}' THEN ${number}`,
+  );
+  return `CASE ${column} ${whens.join(" ")} END`;
+}
@@ -0,0 +1,250 @@
+/**
+ * @file
+ * Quality control for observations. Aurora occasionally returns readings that
+ * are physically impossible (a 60°C spike) or a sensor stuck on one value for
+ * a day, and they end up on the charts.
+ *
+ * Each check flags a column of a row:
+ * - "range": outside the plausible range for Australia
+ * - "step": changed faster than QC_STEP_LIMITS allows since the station's
+ *   previous good reading
+ * - "flatline": unchanged for QC_FLATLINE_HOURS or more
+ * - "consistency": contradicts another column, e.g. dew point above the
+ *   temperature
+ *
+ * The checks run before insert, where the flags are stored in the row's
+ * qcFlags column, and again at generation time, so rows stored before a check
+ * was added or changed are still covered.
+ */
+
+import { DERIVED_COLUMNS } from "./columns.js";
+
+/** Plausible [min, max] for each column, a little wider than the records */
+export const QC_RANGES = {
+  tempC: [-25, 55],
+  dewPointC: [-40, 40],
+  feelsLikeTempC: [-40, 65],
+  wetBulbTemp: [-25, 45],
+  maximumTempC: [-25, 55],
+  minimumTempC: [-25, 55],
+  relativeHumidityPct: [0, 100],
+  // Station level pressure, so high altitude stations read much lower
+  pressure: [700, 1100],
+  pressureMSLP: [900, 1080],
+  qnhPressure: [900, 1080],
+  averageWindSpeedKm: [0, 250],
+  maximumGustKmh: [0, 420],
+  gustKmh: [0, 420],
+  precipitationSince9amMM: [0, 1000],
+  rainfall24hr: [0, 1500],
+  windDirDeg: [0, 360],
+  visibilityKm: [0, 200],
+};
+
+/**
+ * The largest plausible change per hour. Changes over less than an hour are
+ * allowed the full hourly amount, so a sharp cool change isn't flagged.
+ */
+export const QC_STEP_LIMITS = {
+  tempC: 12,
+  dewPointC: 15,
+  relativeHumidityPct: 60,
+  pressure: 6,
+  pressureMSLP: 6,
+  qnhPressure: 6,
+};
+
+/** Readings further apart than this aren't compared for steps or flat lines */
+const MAX_GAP_SECONDS = 3 * 60 * 60;
+
+/** How long a value can stay exactly the same before the sensor is suspect */
+export const QC_FLATLINE_HOURS = {
+  tempC: 12,
+  dewPointC: 12,
+  relativeHumidityPct: 24,
+  pressureMSLP: 12,
+};
+
+/** Allowance for rounding when comparing columns */
+const CONSISTENCY_TOLERANCE = 0.5;
+
+/**
+ * `column` is flagged when `valid(value, otherValue)` is false
+ * @type {{column: string, other: string, valid: (value: number, other: number) => boolean}[]}
+ */
+export const QC_CONSISTENCY_RULES = [
+  {
+    column: "dewPointC",
+    other: "tempC",
+    valid: (dewPoint, temp) => dewPoint <= temp + CONSISTENCY_TOLERANCE,
+  },
+  {
+    column: "wetBulbTemp",
+    other: "tempC",
+    valid: (wetBulb, temp) => wetBulb <= temp + CONSISTENCY_TOLERANCE,
+  },
+  {
+    column: "minimumTempC",
+    other: "maximumTempC",
+    valid: (minimum, maximum) => minimum <= maximum,
+  },
+];
+
+/** How much history the step and flat-line checks need before a row */
+export const QC_LOOKBACK_SECONDS =
+  Math.max(...Object.values(QC_FLATLINE_HOURS)) * 60 * 60;
+
+export const QC_MODES = ["exclude", "annotate"];
+
+/**
+ * @param {string} mode
+ * @throws {Error} If it isn't one of QC_MODES
+ */
+export function validateQcMode(mode) {
+  if (!QC_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid QC mode "${mode}". Valid choices are: ${QC_MODES.join(", ")}`,
+    );
+  }
+}
+
+/**
+ * The columns QC needs to read to check `columns`, including the other side
+ * of any consistency rule
+ * @param {string[]} columns - Stored columns, so derived ones must be
+ * replaced by their sources first (see getSourceColumns)
+ * @returns {string[]}
+ */
+export function getQcColumns(columns) {
+  const needed = new Set(columns);
+  for (const rule of QC_CONSISTENCY_RULES) {
+    if (needed.has(rule.column)) needed.add(rule.other);
+  }
+  return [...needed];
+}
+
+/** @typedef {Object<string, string[]>} QcFlags - Failed checks by column */
+
+/**
+ * The checks one column of a row failed. Derived columns fail every check
+ * their stored sources did, so e.g. tempF is flagged wherever tempC is.
+ * @param {QcFlags|undefined} flags - The row's flags
+ * @param {string} column
+ * @returns {string[]|undefined} undefined if it passed
+ */
+export function getColumnFlags(flags, column) {
+  const sources = DERIVED_COLUMNS[column]?.sources ?? [column];
+  const checks = [
+    ...new Set(sources.flatMap((source) => flags?.[source] ?? [])),
+  ];
+  return checks.length ? checks : undefined;
+}
+
+/**
+ * @param {string|null} text - A row's qcFlags column
+ * @returns {QcFlags}
+ */
+export function parseQcFlags(text) {
+  return text ? JSON.parse(text) : {};
+}
+
+/**
+ * @param {QcFlags|undefined} flags
+ * @returns {string|null} For the qcFlags column
+ */
+export function formatQcFlags(flags) {
+  return flags && Object.keys(flags).length ? JSON.stringify(flags) : null;
+}
+
+/**
+ * Check rows from any number of stations. Earlier rows are only used as
+ * history for the step and flat-line checks, so include up to
+ * QC_LOOKBACK_SECONDS before the rows of interest.
+ *
+ * Flags already stored in a row's qcFlags are kept.
+ *
+ * @param {Object[]} rows - With auroraId, generationEpoch and the columns to
+ * check. Columns that are missing from the rows aren't checked.
+ * @returns {Map<Object, QcFlags>} Flags for each row that has any
+ */
+export function checkObservations(rows) {
+  const flagged = new Map();
+  const flag = (row, column, check) => {
+    if (!flagged.has(row)) flagged.set(row, parseQcFlags(row.qcFlags));
+    const flags = flagged.get(row);
+    flags[column] ??= [];
+    if (!flags[column].includes(check)) flags[column].push(check);
+  };
+
+  const byStation = Map.groupBy(rows, (row) => row.auroraId);
+  for (const stationRows of byStation.values()) {
+    stationRows.sort((a, b) => a.generationEpoch - b.generationEpoch);
+    /** The last reading of each column that passed the range and step checks */
+    const previous = {};
+    /** Where each column's current run of identical values started */
+    const runs = {};
+
+    for (const row of stationRows) {
+      if (row.qcFlags) flagged.set(row, parseQcFlags(row.qcFlags));
+      const epoch = row.generationEpoch;
+      const outOfRange = new Set();
+
+      for (const [column, [min, max]] of Object.entries(QC_RANGES)) {
+        const value = row[column];
+        if (typeof value !== "number") continue;
+        if (value < min || value > max) {
+          flag(row, column, "range");
+          outOfRange.add(column);
+          continue;
+        }
+
+        const limit = QC_STEP_LIMITS[column];
+        const last = previous[column];
+        if (limit && last && epoch - last.epoch <= MAX_GAP_SECONDS) {
+          const hours = Math.max((epoch - last.epoch) / 3600, 1);
+          if (Math.abs(value - last.value) > limit * hours) {
+            // Leave `previous` alone so the reading after a spike is compared
+            // with the one before it
+            flag(row, column, "step");
+            continue;
+          }
+        }
+        previous[column] = { epoch, value };
+
+        const flatHours = QC_FLATLINE_HOURS[column];
+        if (!flatHours) continue;
+        const run = runs[column];
+        if (
+          run &&
+          run.value === value &&
+          epoch - run.lastEpoch <= MAX_GAP_SECONDS
+        ) {
+          run.lastEpoch = epoch;
+          if (epoch - run.since >= flatHours * 3600) {
+            flag(row, column, "flatline");
+          }
+        } else {
+          runs[column] = { value, since: epoch, lastEpoch: epoch };
+        }
+      }
+
+      // Comparing with an impossible value says nothing about this one
+      for (const { column, other, valid } of QC_CONSISTENCY_RULES) {
+        if (
+          !outOfRange.has(column) &&
+          !outOfRange.has(other) &&
+          typeof row[column] === "number" &&
+          typeof row[other] === "number" &&
+          !valid(row[column], row[other])
+        ) {
+          flag(row, column, "consistency");
+        }
+      }
+    }
+  }
+
+  for (const [row, flags] of flagged) {
+    if (!Object.keys(flags).length) flagged.delete(row);
+  }
+  return flagged;
+}
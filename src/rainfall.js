@@ -0,0 +1,154 @@
+/**
+ * @file
+ * Derive the rain that fell between consecutive observations from
+ * precipitationSince9amMM, the running total that resets at 9am local time.
+ *
+ * Stations are in several time zones (and some observe DST), so the 9am reset
+ * is found using the UTC offset in each observation's own `endTime` rather than
+ * a fixed zone.
+ */
+import logger from "./logger.js";
+import { parseOffsetMinutes } from "./utils.aurora-dates.js";
+
+export const RAIN_INTERVAL_COLUMN = "rainIntervalMM";
+
+/** The accumulator resets at 9am local time */
+const RESET_HOUR = 9;
+
+/**
+ * Anything faster than this is a bad reading, not rain. The heaviest rain on
+ * record is around 300mm in an hour, and sustained rates are far lower.
+ */
+export const MAX_RAIN_RATE_MM_PER_HOUR = 200;
+
+/**
+ * Which accumulation period an observation belongs to: the number of local
+ * days since the epoch, counting each day from 9am.
+ * @param {number} epochSeconds
+ * @param {number} offsetMinutes
+ */
+function rainDay(epochSeconds, offsetMinutes) {
+  const localSeconds = epochSeconds + offsetMinutes * 60;
+  return Math.floor((localSeconds - RESET_HOUR * 3600) / 86400);
+}
+
+/**
+ * @typedef {Object} RainInterval
+ * @property {number} generationEpoch - The later of the two observations
+ * @property {number|null} value - mm since the previous observation, or null
+ * if it couldn't be worked out
+ * @property {null|"first"|"reset"|"negative"|"impossible"|"no-offset"} flag
+ * - "reset" values are valid; the accumulator passed 9am so the whole
+ * reading is new rain. The others have a null value.
+ */
+
+/**
+ * Work out the rain between each pair of consecutive observations for one
+ * station.
+ * @param {{generationEpoch: number, endTime: string, precipitationSince9amMM: number|null}[]} observations
+ * - One station's observations in chronological order. Those without a
+ * precipitationSince9amMM reading are ignored.
+ * @returns {RainInterval[]} One for each observation with a reading
+ */
+export function rainfallIntervals(observations) {
+  const intervals = [];
+  let previous = null;
+
+  for (const observation of observations) {
+    const total = observation.precipitationSince9amMM;
+    if (total === null || total === undefined) {
+      continue;
+    }
+    const offset = parseOffsetMinutes(observation.endTime);
+    const interval = {
+      generationEpoch: observation.generationEpoch,
+      value: null,
+      flag: null,
+    };
+    intervals.push(interval);
+
+    if (offset === null) {
+      interval.flag = "no-offset";
+      continue;
+    }
+    const current = {
+      epoch: observation.generationEpoch,
+      day: rainDay(observation.generationEpoch, offset),
+      total,
+    };
+    if (!previous) {
+      interval.flag = "first";
+      previous = current;
+      continue;
+    }
+
+    let value = current.total - previous.total;
+    if (current.day !== previous.day) {
+      interval.flag = "reset";
+      value = current.total;
+    } else if (value < 0) {
+      interval.flag = "negative";
+      value = null;
+    }
+
+    const hours = Math.max((current.epoch - previous.epoch) / 3600, 1);
+    if (value !== null && value > MAX_RAIN_RATE_MM_PER_HOUR * hours) {
+      interval.flag = "impossible";
+      value = null;
+    }
+
+    interval.value = value === null ? null : Math.round(value * 100) / 100;
+    previous = current;
+  }
+
+  return intervals;
+}
+
+/**
+ * Derive rainIntervalMM for rows from several stations at once.
+ * @param {{auroraId: string, generationEpoch: number, endTime: string, precipitationSince9amMM: number|null}[]} rows
+ * - In chronological order
+ * @returns {Map<Object, RainInterval>} Keyed by the row each interval ends at
+ */
+export function deriveRainIntervals(rows) {
+  const byStation = Map.groupBy(rows, (row) => row.auroraId);
+  const result = new Map();
+  for (const stationRows of byStation.values()) {
+    const withReadings = stationRows.filter(
+      (row) =>
+        row.precipitationSince9amMM !== null &&
+        row.precipitationSince9amMM !== undefined,
+    );
+    rainfallIntervals(withReadings).forEach((interval, i) =>
+      result.set(withReadings[i], interval),
+    );
+  }
+  return result;
+}
+
+/**
+ * The rainIntervalMM value for each row that has one, logging how many
+ * intervals were dropped as negative or impossible.
+ * @param {Object[]} rows - As for deriveRainIntervals
+ * @returns {Map<Object, number>}
+ */
+export function rainIntervalValues(rows) {
+  const values = new Map();
+  const flagged = { negative: 0, impossible: 0 };
+  for (const [row, { value, flag }] of deriveRainIntervals(rows)) {
+    if (flag in flagged) {
+      flagged[flag]++;
+    }
+    if (value !== null) {
+      values.set(row, value);
+    }
+  }
+  if (flagged.negative || flagged.impossible) {
+    logger.warn(
+      "Dropped %d negative and %d impossible rainfall intervals",
+      flagged.negative,
+      flagged.impossible,
+    );
+  }
+  return values;
+}
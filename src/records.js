@@ -0,0 +1,340 @@
+/**
+ * @file
+ * Station records: the highest and lowest maximum and minimum temperatures and
+ * the strongest gust at each station, for each local month and overall.
+ *
+ * updateRecords runs after every fetchWeatherCron and only reads the
+ * observations fetched since it last ran. Every record it beats is logged in
+ * record_breaks, and records.json lists the recent ones (see getRecentBreaks).
+ * A station's first observations set its records without counting as breaks.
+ */
+import fs from "node:fs/promises";
+import path from "node:path";
+import { formatInTimeZone } from "date-fns-tz";
+import { TABLE_NAME } from "./migrations/01-create-weather_data.js";
+import {
+  BREAKS_SCHEMA_MAPPING,
+  BREAKS_TABLE_NAME,
+  PROGRESS_TABLE_NAME,
+  RECORDS_SCHEMA_MAPPING,
+  RECORDS_TABLE_NAME,
+} from "./migrations/09-create-records.js";
+import { DEFAULT_TZ } from "./generate-dataset.js";
+import {
+  hashDataset,
+  MANIFEST_FILENAME,
+  readManifest,
+  writeManifest,
+} from "./manifest.js";
+import { parseQcFlags } from "./qc.js";
+import { initializeDatabase } from "./sqlite.js";
+import { parseOffsetMinutes } from "./utils.aurora-dates.js";
+import logger from "./logger.js";
+
+/**
+ * The columns with records, which extremes of each to keep, and where to find
+ * when the value was observed (generationTime if not set)
+ * @type {Object<string, {extremes: ("high"|"low")[], timeColumn?: string}>}
+ */
+export const RECORD_COLUMNS = {
+  maximumTempC: {
+    extremes: ["high", "low"],
+    timeColumn: "maximumTempLocalTimeUTC",
+  },
+  minimumTempC: {
+    extremes: ["high", "low"],
+    timeColumn: "minimumTempLocalTimeUTC",
+  },
+  maximumGustKmh: { extremes: ["high"] },
+};
+
+export const RECORDS_FILENAME = "records.json";
+
+/** How many days of breaks records.json lists */
+export const DEFAULT_RECORDS_DAYS = Number(process.env.RECORDS_DAYS) || 1;
+
+/**
+ * @typedef {Object} StationRecord
+ * @property {string} auroraId
+ * @property {string} columnName
+ * @property {number} month - 1-12, or 0 for any month
+ * @property {"high"|"low"} extreme
+ * @property {number} value
+ * @property {string} time
+ */
+
+/**
+ * The station's local month for a row, from the UTC offset in its endTime
+ * @param {{generationEpoch: number, endTime: string|null}} row
+ * @returns {number|null} 1-12, or null without an offset
+ */
+export function localMonth(row) {
+  const offset = parseOffsetMinutes(row.endTime);
+  if (offset === null || !Number.isFinite(row.generationEpoch)) {
+    return null;
+  }
+  return new Date((row.generationEpoch + offset * 60) * 1000).getUTCMonth() + 1;
+}
+
+/**
+ * @param {"high"|"low"} extreme
+ * @param {number} value
+ * @param {number} record
+ * @returns {boolean} Whether `value` beats `record`. Equalling it doesn't.
+ */
+export function beats(extreme, value, record) {
+  return extreme === "high" ? value > record : value < record;
+}
+
+/**
+ * @param {string} auroraId
+ * @param {string} columnName
+ * @param {number} month
+ * @param {"high"|"low"} extreme
+ */
+export function recordKey(auroraId, columnName, month, extreme) {
+  return `${auroraId}/${columnName}/${month}/${extreme}`;
+}
+
+/**
+ * The most extreme value in some rows for every record they could set.
+ * Values flagged by QC never set records, and ties go to the earliest row.
+ * @param {Object[]} rows - Oldest first, with RECORD_COLUMNS, their time
+ * columns, generationTime, generationEpoch, endTime and qcFlags
+ * @returns {Map<string, StationRecord>} Keyed by recordKey
+ */
+export function findExtremes(rows) {
+  const extremes = new Map();
+  for (const row of rows) {
+    const month = localMonth(row);
+    if (month === null) continue;
+    const flags = parseQcFlags(row.qcFlags);
+
+    for (const [columnName, { extremes: kinds, timeColumn }] of Object.entries(
+      RECORD_COLUMNS,
+    )) {
+      const value = row[columnName];
+      if (typeof value !== "number" || flags[columnName]) continue;
+      const time = (timeColumn && row[timeColumn]) || row.generationTime;
+      if (!time) continue;
+
+      for (const recordMonth of [0, month]) {
+        for (const extreme of kinds) {
+          const key = recordKey(row.auroraId, columnName, recordMonth, extreme);
+          const current = extremes.get(key);
+          if (!current || beats(extreme, value, current.value)) {
+            extremes.set(key, {
+              auroraId: row.auroraId,
+              columnName,
+              month: recordMonth,
+              extreme,
+              value,
+              time,
+            });
+          }
+        }
+      }
+    }
+  }
+  return extremes;
+}
+
+/**
+ * @typedef {Object} RecordBreak
+ * @property {string} auroraId
+ * @property {string} columnName
+ * @property {number} month
+ * @property {"high"|"low"} extreme
+ * @property {number} oldValue
+ * @property {string} oldTime
+ * @property {number} newValue
+ * @property {string} newTime
+ */
+
+/**
+ * Bring the records up to date with the observations fetched since the last
+ * update, one station at a time. Rerunning over the same rows changes nothing.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.runId] - The fetch_runs row to log breaks against
+ * @param {Date} [options.now]
+ * @returns {Promise<{rows: number, broken: RecordBreak[]}>} How many
+ * observations were read, and the records they broke
+ */
+export async function updateRecords({ runId = null, now = new Date() } = {}) {
+  const db = await initializeDatabase();
+  const updatedAt = now.toISOString();
+  const lastFetchTime =
+    db.prepare(`SELECT lastFetchTime FROM ${PROGRESS_TABLE_NAME}`).get()
+      ?.lastFetchTime ?? "";
+
+  const columns = Object.entries(RECORD_COLUMNS).flatMap(
+    ([column, { timeColumn }]) => [column, ...(timeColumn ? [timeColumn] : [])],
+  );
+  const auroraIds = db
+    .prepare(`SELECT DISTINCT auroraId FROM ${TABLE_NAME}`)
+    .all()
+    .map((row) => row.auroraId);
+  // idx_timeseries covers (auroraId, fetchTime)
+  const readRows = db.prepare(`
+SELECT auroraId, fetchTime, generationTime, generationEpoch, endTime, qcFlags,
+  ${columns.join(", ")}
+FROM ${TABLE_NAME}
+WHERE auroraId = ? AND fetchTime > ?
+ORDER BY generationEpoch ASC`);
+  const readRecords = db.prepare(
+    `SELECT * FROM ${RECORDS_TABLE_NAME} WHERE auroraId = ?`,
+  );
+  const recordColumns = Object.keys(RECORDS_SCHEMA_MAPPING);
+  const upsertRecord = db.prepare(`
+INSERT OR REPLACE INTO ${RECORDS_TABLE_NAME} (${recordColumns.join(", ")})
+VALUES (${recordColumns.map(() => "?").join(", ")})`);
+  const breakColumns = Object.keys(BREAKS_SCHEMA_MAPPING).filter(
+    (column) => column !== "id",
+  );
+  const insertBreak = db.prepare(`
+INSERT INTO ${BREAKS_TABLE_NAME} (${breakColumns.join(", ")})
+VALUES (${breakColumns.map(() => "?").join(", ")})`);
+
+  let rowCount = 0;
+  let newestFetchTime = lastFetchTime;
+  const broken = [];
+  for (const auroraId of auroraIds) {
+    const rows = readRows.all(auroraId, lastFetchTime);
+    if (!rows.length) continue;
+    rowCount += rows.length;
+    for (const row of rows) {
+      if (row.fetchTime > newestFetchTime) newestFetchTime = row.fetchTime;
+    }
+
+    const stored = new Map(
+      readRecords
+        .all(auroraId)
+        .map((record) => [
+          recordKey(
+            record.auroraId,
+            record.columnName,
+            record.month,
+            record.extreme,
+          ),
+          record,
+        ]),
+    );
+
+    db.exec("BEGIN");
+    try {
+      for (const [key, candidate] of findExtremes(rows)) {
+        const old = stored.get(key);
+        if (old && !beats(candidate.extreme, candidate.value, old.value)) {
+          continue;
+        }
+        const record = { ...candidate, updatedAt };
+        upsertRecord.run(...recordColumns.map((column) => record[column]));
+        if (!old) continue;
+
+        const recordBreak = {
+          auroraId,
+          columnName: candidate.columnName,
+          month: candidate.month,
+          extreme: candidate.extreme,
+          oldValue: old.value,
+          oldTime: old.time,
+          newValue: candidate.value,
+          newTime: candidate.time,
+        };
+        insertBreak.run(
+          ...breakColumns.map(
+            (column) =>
+              ({ runId, detectedAt: updatedAt, ...recordBreak })[column],
+          ),
+        );
+        broken.push(recordBreak);
+      }
+      db.exec("COMMIT");
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    }
+  }
+
+  if (newestFetchTime !== lastFetchTime) {
+    db.prepare(
+      `INSERT OR REPLACE INTO ${PROGRESS_TABLE_NAME} (id, lastFetchTime) VALUES (1, ?)`,
+    ).run(newestFetchTime);
+  }
+  logger.info(
+    "Checked %d new observations for records: %d broken",
+    rowCount,
+    broken.length,
+  );
+  for (const recordBreak of broken) {
+    logger.debug("Record broken: %j", recordBreak);
+  }
+  return { rows: rowCount, broken };
+}
+
+/**
+ * The breaks both detected and observed in the last `days`, for records.json.
+ * Observations fetched late, e.g. by a backfill, can break records when
+ * they're stored, but if they're older than that they're left out here, as
+ * they're not news. They're still logged in record_breaks.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.days] - How far back to list breaks
+ * @param {Date} [options.now]
+ * @returns {Promise<{updatedDate: string, days: number, records: (RecordBreak & {detectedAt: string})[]}>}
+ * Breaks newest first. There's no start date, so the manifest hash only
+ * changes when the breaks do.
+ */
+export async function getRecentBreaks({
+  days = DEFAULT_RECORDS_DAYS,
+  now = new Date(),
+} = {}) {
+  const db = await initializeDatabase();
+  const since = new Date(now.getTime() - Number(days) * 24 * 60 * 60 * 1000);
+  const records = db
+    .prepare(
+      `
+      SELECT auroraId, columnName, month, extreme, oldValue, oldTime,
+        newValue, newTime, detectedAt
+      FROM ${BREAKS_TABLE_NAME}
+      WHERE detectedAt >= ?
+      ORDER BY detectedAt DESC, id DESC
+    `,
+    )
+    .all(since.toISOString())
+    .filter((record) => Date.parse(record.newTime) >= since.getTime());
+
+  return {
+    updatedDate: formatInTimeZone(now, DEFAULT_TZ, "yyyy-MM-dd'T'HH:mm:ssXXX"),
+    days: Number(days),
+    records,
+  };
+}
+
+/**
+ * Catch the records up, then write records.json to outputDir and record it in
+ * the manifest
+ */
+export default async function generateRecords(options) {
+  const outputDir = options.outputDir || "data/assets/";
+  await updateRecords();
+  const records = await getRecentBreaks({ days: options.days });
+
+  const outputPath = path.join(outputDir, RECORDS_FILENAME);
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(records));
+
+  const manifestPath = path.join(outputDir, MANIFEST_FILENAME);
+  const manifest = await readManifest(manifestPath);
+  manifest[RECORDS_FILENAME] = { hash: hashDataset(records) };
+  await writeManifest(manifestPath, manifest);
+
+  logger.info(
+    "Wrote %s with %d records broken in the last %d days",
+    outputPath,
+    records.records.length,
+    records.days,
+  );
+  return records;
+}
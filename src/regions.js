@@ -0,0 +1,127 @@
+/**
+ * @file
+ * Group stations into regions and roll their series up into one series per
+ * region, e.g. the mean temperature across Victoria or the maximum gust in
+ * South East Queensland.
+ *
+ * Regions can be:
+ * - "state": the state inferred from each station's BoM number (see
+ *   locations.js)
+ * - "capital": stations within CAPITAL_RADIUS_KM of each capital city
+ * - a GeoJSON file of Polygon or MultiPolygon features, named by their `name`
+ *   (or `id`) property. Regions may overlap, in which case a station counts
+ *   towards each of them.
+ */
+import fs from "node:fs/promises";
+import { booleanPointInPolygon, distance, point } from "@turf/turf";
+import { applyStat } from "./aggregate.js";
+
+export const REGION_TYPES = ["state", "capital"];
+
+/** [longitude, latitude] of each capital's CBD */
+export const CAPITAL_CITIES = {
+  Adelaide: [138.601, -34.929],
+  Brisbane: [153.026, -27.469],
+  Canberra: [149.13, -35.281],
+  Darwin: [130.845, -12.463],
+  Hobart: [147.327, -42.882],
+  Melbourne: [144.963, -37.814],
+  Perth: [115.861, -31.952],
+  Sydney: [151.209, -33.868],
+};
+
+/** Roughly the extent of each capital's metro area */
+export const CAPITAL_RADIUS_KM = 50;
+
+/**
+ * Read a polygon GeoJSON file of regions
+ * @param {string} file
+ * @returns {Promise<import('geojson').Feature[]>}
+ */
+export async function readRegionsFile(file) {
+  const geojson = JSON.parse(await fs.readFile(file, "utf8"));
+  const features = geojson.type === "Feature" ? [geojson] : geojson.features;
+  const polygons = (features ?? []).filter((feature) =>
+    ["Polygon", "MultiPolygon"].includes(feature.geometry?.type),
+  );
+  if (!polygons.length) {
+    throw new Error(`${file} has no Polygon or MultiPolygon features`);
+  }
+  return polygons;
+}
+
+/**
+ * Assign each location to its regions
+ * @param {import('./locations.js').Location[]} locations
+ * @param {"state"|"capital"|import('geojson').Feature[]} by - A region type,
+ * or polygon features from readRegionsFile
+ * @returns {Map<string, string[]>} Aurora IDs keyed by region name
+ */
+export function assignRegions(locations, by) {
+  const regions = new Map();
+  const add = (region, auroraId) => {
+    if (!regions.has(region)) regions.set(region, []);
+    regions.get(region).push(auroraId);
+  };
+
+  for (const location of locations) {
+    const coordinates = [location.longitude, location.latitude];
+    if (by === "state") {
+      if (location.state) add(location.state, location.auroraId);
+    } else if (by === "capital") {
+      const [nearest] = Object.entries(CAPITAL_CITIES)
+        .map(([city, cbd]) => [city, distance(coordinates, cbd)])
+        .sort((a, b) => a[1] - b[1]);
+      if (nearest[1] <= CAPITAL_RADIUS_KM) add(nearest[0], location.auroraId);
+    } else {
+      by.forEach((feature, i) => {
+        if (booleanPointInPolygon(point(coordinates), feature)) {
+          add(
+            String(feature.properties?.name ?? feature.id ?? i),
+            location.auroraId,
+          );
+        }
+      });
+    }
+  }
+  return regions;
+}
+
+/**
+ * Combine the stations' series in each region. Stations report at different
+ * minutes, so each station's series is first reduced to its last value in
+ * each `interval`, then the stations are combined with `stat`.
+ * @param {Object<string, [number, number][]>} series - Keyed by auroraId
+ * @param {Map<string, string[]>} regions - From assignRegions
+ * @param {Object} options
+ * @param {"min"|"max"|"mean"|"sum"|"last"} options.stat
+ * @param {number} options.interval - Minutes
+ * @returns {{series: Object<string, [number, number][]>, stations: Object<string, number>}}
+ * The combined series, and how many stations contributed to each region
+ */
+export function rollupSeries(series, regions, { stat, interval }) {
+  const result = { series: {}, stations: {} };
+  for (const [region, auroraIds] of regions) {
+    const buckets = new Map();
+    let stations = 0;
+    for (const auroraId of auroraIds) {
+      if (!series[auroraId]?.length) continue;
+      stations++;
+      const latest = new Map();
+      for (const [x, value] of series[auroraId]) {
+        latest.set(Math.floor(x / interval) * interval, value);
+      }
+      for (const [bucket, value] of latest) {
+        if (!buckets.has(bucket)) buckets.set(bucket, []);
+        buckets.get(bucket).push(value);
+      }
+    }
+    if (!stations) continue;
+
+    result.stations[region] = stations;
+    result.series[region] = [...buckets]
+      .sort((a, b) => a[0] - b[0])
+      .map(([bucket, values]) => [bucket, applyStat(stat, values)]);
+  }
+  return result;
+}
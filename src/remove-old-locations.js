@@ -0,0 +1,86 @@
+/**
+ * @file
+ * Delete everything stored for Aurora IDs that are no longer in au.geo.json,
+ * e.g. after fetch-aurora-ids drops a station. 04-remove-old-locations did this
+ * once for weather_data when the IDs were replaced; this can be run whenever
+ * the list changes.
+ */
+import { TABLE_NAME } from "./migrations/01-create-weather_data.js";
+import { RESULTS_TABLE_NAME } from "./migrations/05-create-fetch_runs.js";
+import { CLIMATOLOGY_TABLE_NAME } from "./migrations/08-create-climatology.js";
+import {
+  BREAKS_TABLE_NAME,
+  RECORDS_TABLE_NAME,
+} from "./migrations/09-create-records.js";
+import { DEFAULT_GEOJSON_FILE, readLocations } from "./locations.js";
+import { closeDatabase, initializeDatabase } from "./sqlite.js";
+import logger from "./logger.js";
+
+/** Every table with rows keyed by auroraId */
+export const LOCATION_TABLES = [
+  TABLE_NAME,
+  RESULTS_TABLE_NAME,
+  CLIMATOLOGY_TABLE_NAME,
+  RECORDS_TABLE_NAME,
+  BREAKS_TABLE_NAME,
+];
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Count the rows without deleting them
+ * @param {string} [options.databasePath]
+ * @param {string} [options.geojsonPath]
+ * @returns {Promise<Object<string, number>>} Rows removed from each table
+ */
+export default async function removeOldLocations({
+  dryRun = false,
+  databasePath,
+  geojsonPath = DEFAULT_GEOJSON_FILE,
+} = {}) {
+  const auroraIds = (await readLocations(geojsonPath)).map(
+    (location) => location.auroraId,
+  );
+  if (!auroraIds.length) {
+    throw new Error(
+      `No Aurora IDs found in ${geojsonPath}, refusing to remove every location`,
+    );
+  }
+
+  const db = await initializeDatabase(databasePath, geojsonPath);
+  try {
+    const placeholders = auroraIds.map(() => "?").join(", ");
+    const removed = {};
+    db.exec("BEGIN");
+    try {
+      for (const table of LOCATION_TABLES) {
+        const where = `WHERE auroraId NOT IN (${placeholders})`;
+        removed[table] = dryRun
+          ? db
+              .prepare(`SELECT COUNT(*) AS count FROM ${table} ${where}`)
+              .get(...auroraIds).count
+          : Number(
+              db.prepare(`DELETE FROM ${table} ${where}`).run(...auroraIds)
+                .changes,
+            );
+        logger.info(
+          "%s %d rows from %s",
+          dryRun ? "Would remove" : "Removed",
+          removed[table],
+          table,
+        );
+      }
+      db.exec("COMMIT");
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    }
+
+    if (!dryRun && Object.values(removed).some(Boolean)) {
+      logger.info("Vacuuming database");
+      db.exec("VACUUM");
+    }
+    return removed;
+  } finally {
+    closeDatabase();
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * @file
+ * Report on recent fetchWeatherCron runs from the fetch_runs audit table, and
+ * on locations that have failed in every one of their most recent runs.
+ */
+import {
+  RESULTS_TABLE_NAME,
+  RUNS_TABLE_NAME,
+} from "./migrations/05-create-fetch_runs.js";
+import { closeDatabase, initializeDatabase } from "./sqlite.js";
+import logger from "./logger.js";
+
+/**
+ * Count consecutive failures for each location, starting from its most recent
+ * result. Locations whose latest result succeeded are omitted.
+ * @param {{auroraId: string, runId: number, status: string, error: string|null}[]} rows
+ * - Sorted by auroraId, then newest run first.
+ * @returns {{auroraId: string, streak: number, lastError: string|null}[]}
+ * Longest streak first.
+ */
+export function failureStreaks(rows) {
+  const streaks = new Map();
+  const finished = new Set();
+  for (const row of rows) {
+    if (finished.has(row.auroraId)) {
+      continue;
+    }
+    if (row.status !== "failed") {
+      finished.add(row.auroraId);
+      continue;
+    }
+    const streak = streaks.get(row.auroraId);
+    if (streak) {
+      streak.streak++;
+    } else {
+      streaks.set(row.auroraId, {
+        auroraId: row.auroraId,
+        streak: 1,
+        lastError: row.error,
+      });
+    }
+  }
+  return [...streaks.values()].sort((a, b) => b.streak - a.streak);
+}
+
+const formatDuration = (start, end) =>
+  end ? `${((new Date(end) - new Date(start)) / 1000).toFixed(1)}s` : "—";
+
+const runFlag = (run) => {
+  if (!run.endTime) return " [unfinished]";
+  if (run.budgetExceeded) return " [over failure budget]";
+  return "";
+};
+
+export default async function listRuns({ databasePath, limit = 10 } = {}) {
+  const db = await initializeDatabase(databasePath);
+
+  const runs = db
+    .prepare(`SELECT * FROM ${RUNS_TABLE_NAME} ORDER BY id DESC LIMIT ?`)
+    .all(Number(limit));
+
+  logger.info("Last %d runs:", runs.length);
+  for (const run of runs) {
+    logger.info(
+      "#%d %s %s (%s): %d/%d succeeded, %d failed, %d retried, %d new rows, %d duplicates%s",
+      run.id,
+      run.startTime,
+      run.mode,
+      formatDuration(run.startTime, run.endTime),
+      run.succeeded ?? 0,
+      run.locations ?? 0,
+      run.failed ?? 0,
+      run.retried ?? 0,
+      run.inserted ?? 0,
+      run.duplicates ?? 0,
+      runFlag(run),
+    );
+  }
+
+  const rows = db
+    .prepare(
+      `
+      SELECT r.auroraId, r.runId, r.status, r.error, m.name
+      FROM ${RESULTS_TABLE_NAME} r
+      LEFT JOIN aurora_map m ON m.auroraId = r.auroraId
+      ORDER BY r.auroraId ASC, r.runId DESC
+    `,
+    )
+    .all();
+  const names = new Map(rows.map((row) => [row.auroraId, row.name]));
+  const streaks = failureStreaks(rows);
+
+  logger.info("%d locations failing in their latest run", streaks.length);
+  for (const { auroraId, streak, lastError } of streaks) {
+    logger.info(
+      "  %s (%s): %d consecutive failures, last error: %s",
+      names.get(auroraId) || "Unknown",
+      auroraId,
+      streak,
+      lastError,
+    );
+  }
+
+  closeDatabase();
+  return { runs, streaks };
+}
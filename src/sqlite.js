@@ -1,17 +1,21 @@
 import { DatabaseSync } from "node:sqlite";
 import * as path from "node:path";
-import { createAuroraMap } from "./migrations/00-create-aurora_map.js";
 import {
-  createWeatherData,
   SCHEMA_MAPPING,
   TABLE_NAME,
 } from "./migrations/01-create-weather_data.js";
-import { updateColumns } from "./migrations/02-update-columns.js";
-import { removeOldLocations } from "./migrations/04-remove-old-locations.js";
+import {
+  RESULTS_TABLE_NAME,
+  RUNS_TABLE_NAME,
+} from "./migrations/05-create-fetch_runs.js";
+import { runMigrations } from "./migrations/runner.js";
 import logger from "./logger.js";
 
 const __dirname = path.dirname(new URL(import.meta.url).pathname);
-const DEFAULT_DATABASE_FILE = path.resolve(__dirname, "../data/weather.sqlite");
+export const DEFAULT_DATABASE_FILE = path.resolve(
+  __dirname,
+  "../data/weather.sqlite",
+);
 
 // --- Single Global Database Connection ---
 /**
@@ -23,15 +27,19 @@ let dbInstance = null;
 // --- Database Functions ---
 
 /**
- * Initializes, creates the table/index if necessary, and returns
+ * Initializes, applies any pending migrations, and returns
  * the single database connection instance.
  * @param {string} [dbPath] - Optional path to the database file.
  * @param {string} [geojsonPath] - Optional path to the geojson file for migrations.
+ * @param {Object} [options]
+ * @param {boolean} [options.migrate] - Set to false to open the database
+ * without applying migrations, e.g. to report their status.
  * @returns {Promise<DatabaseSync>} The active database connection.
  */
 export async function initializeDatabase(
   dbPath = DEFAULT_DATABASE_FILE,
   geojsonPath,
+  { migrate = true } = {},
 ) {
   if (dbInstance) {
     return dbInstance;
@@ -41,10 +49,9 @@ export async function initializeDatabase(
     // Connect/create the database file
     dbInstance = new DatabaseSync(dbPath);
 
-    await createAuroraMap(dbInstance);
-    await createWeatherData(dbInstance);
-    await updateColumns(dbInstance);
-    await removeOldLocations(dbInstance, geojsonPath);
+    if (migrate) {
+      await runMigrations(dbInstance, { geojsonPath });
+    }
 
     logger.info("Database '%s' loaded", dbPath);
     return dbInstance;
@@ -52,6 +59,7 @@ export async function initializeDatabase(
     logger.error("Fatal error during database initialization: %s", e.message);
     // If connection fails, close and re-throw
     if (dbInstance) dbInstance.close();
+    dbInstance = null;
     throw e;
   }
 }
@@ -59,6 +67,7 @@ export async function initializeDatabase(
 /**
  * Appends a single object to the weather_data table using the persistent connection.
  * @param {Object<string, any>} dataObject - The data to insert.
+ * @returns {Promise<number>} 1 if a row was inserted, 0 if it was a duplicate or failed.
  */
 export async function append(dataObject) {
   // 1. Get the persistent connection
@@ -69,7 +78,7 @@ export async function append(dataObject) {
     logger.error(
       "Data object must contain non-null 'auroraId' and 'fetchTime'",
     );
-    return;
+    return 0;
   }
 
   try {
@@ -110,11 +119,102 @@ VALUES (${placeholders})
         dataObject.auroraId,
       );
     }
+    return Number(result.changes);
   } catch (e) {
     logger.error("An error occurred during data append: %s", e.message);
+    return 0;
   }
 }
 
+/**
+ * A location's stored observations in a time range, oldest first, e.g. as
+ * history for the QC checks.
+ * @param {string} auroraId
+ * @param {number} fromEpoch - Unix seconds, inclusive
+ * @param {number} toEpoch - Unix seconds, inclusive
+ * @param {string[]} columns - Columns to read as well as auroraId,
+ * generationEpoch and qcFlags. Must already be validated.
+ * @returns {Promise<Object[]>}
+ */
+export async function getObservations(auroraId, fromEpoch, toEpoch, columns) {
+  const db = await initializeDatabase();
+  return db
+    .prepare(
+      `
+SELECT auroraId, generationEpoch, qcFlags, ${columns.join(", ")}
+FROM ${TABLE_NAME}
+WHERE auroraId = ? AND generationEpoch BETWEEN ? AND ?
+ORDER BY generationEpoch ASC
+`,
+    )
+    .all(auroraId, fromEpoch, toEpoch);
+}
+
+/**
+ * Record the start of a fetchWeatherCron run in fetch_runs.
+ * @param {{mode: string, hours: number, locations: number}} run
+ * @returns {Promise<number>} The new run's ID
+ */
+export async function startFetchRun({ mode, hours, locations }) {
+  const db = await initializeDatabase();
+  const result = db
+    .prepare(
+      `
+INSERT INTO ${RUNS_TABLE_NAME} (startTime, mode, hours, locations)
+VALUES (?, ?, ?, ?)
+`,
+    )
+    .run(new Date().toISOString(), mode, hours, locations);
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Record the outcome of one location in a run.
+ * @param {number} runId
+ * @param {{auroraId: string, received?: number, inserted?: number, retried?: boolean, error?: string}} result
+ */
+export async function recordFetchResult(
+  runId,
+  { auroraId, received = null, inserted = null, retried = false, error = null },
+) {
+  const db = await initializeDatabase();
+  const status = error ? "failed" : inserted > 0 ? "inserted" : "duplicate";
+  db.prepare(
+    `
+INSERT OR REPLACE INTO ${RESULTS_TABLE_NAME} (runId, auroraId, status, received, inserted, retried, error)
+VALUES (?, ?, ?, ?, ?, ?, ?)
+`,
+  ).run(runId, auroraId, status, received, inserted, retried ? 1 : 0, error);
+}
+
+/**
+ * Record the end time and totals of a run.
+ * @param {number} runId
+ * @param {{succeeded: number, failed: number, retried: number, inserted: number, duplicates: number, budgetExceeded: boolean}} totals
+ */
+export async function finishFetchRun(
+  runId,
+  { succeeded, failed, retried, inserted, duplicates, budgetExceeded },
+) {
+  const db = await initializeDatabase();
+  db.prepare(
+    `
+UPDATE ${RUNS_TABLE_NAME}
+SET endTime = ?, succeeded = ?, failed = ?, retried = ?, inserted = ?, duplicates = ?, budgetExceeded = ?
+WHERE id = ?
+`,
+  ).run(
+    new Date().toISOString(),
+    succeeded,
+    failed,
+    retried,
+    inserted,
+    duplicates,
+    budgetExceeded ? 1 : 0,
+    runId,
+  );
+}
+
 /**
  * Utility function to close the persistent connection when the application exits.
  */
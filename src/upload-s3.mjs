@@ -6,8 +6,10 @@ import process from "process";
 import path from "path";
 import mime from "mime";
 import zlib from "zlib";
+import crypto from "crypto";
 import { performance } from "perf_hooks";
 import { eachLimit } from "async";
+import { MANIFEST_FILENAME, UPLOAD_MANIFEST_FILENAME } from "./manifest.js";
 
 const BROTLI_EXTENSIONS = ["json", "xml"];
 
@@ -39,12 +41,83 @@ async function syncDir({ src, dest }) {
   return [...files, ...extraFiles.flat()];
 }
 
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fsCreateReadStream(file)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/**
+ * Work out a content hash for every file. Generated datasets use the hash from
+ * their directory's manifest.json, which ignores `updatedDate`, so a dataset
+ * that was regenerated with the same data isn't uploaded again.
+ */
+async function hashActions(actions) {
+  const generatedHashes = new Map();
+  for (const action of actions) {
+    if (path.basename(action.local) !== MANIFEST_FILENAME) continue;
+    const manifest = JSON.parse(await fs.readFile(action.local, "utf8"));
+    for (const [file, { hash }] of Object.entries(manifest)) {
+      generatedHashes.set(path.join(path.dirname(action.local), file), hash);
+    }
+  }
+  return Promise.all(
+    actions.map(async (action) => ({
+      ...action,
+      hash: generatedHashes.get(action.local) || (await hashFile(action.local)),
+    }))
+  );
+}
+
+/**
+ * Only keep files whose hash differs from the last upload
+ */
+export function selectChangedFiles(actions, uploadManifest) {
+  return actions.filter(
+    (action) => uploadManifest[action.remote] !== action.hash
+  );
+}
+
+async function getUploadManifest(minioClient, bucket, key) {
+  try {
+    const stream = await minioClient.getObject(bucket, key);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (e) {
+    if (e.code === "NoSuchKey") {
+      return {};
+    }
+    throw e;
+  }
+}
+
 async function uploadS3(options) {
-  const { src, dest, bucket, ...s3Options } = options;
+  const { src, dest, bucket, force, ...s3Options } = options;
   const minioClient = new Minio.Client(s3Options);
 
   const srcAbsolute = path.resolve(process.cwd(), src);
-  const actions = await syncDir({ src: srcAbsolute, dest });
+  const manifestKey = path.join(dest, UPLOAD_MANIFEST_FILENAME);
+  const allActions = await hashActions(
+    await syncDir({ src: srcAbsolute, dest })
+  );
+  const uploadManifest = await getUploadManifest(
+    minioClient,
+    bucket,
+    manifestKey
+  );
+  const actions = force
+    ? allActions
+    : selectChangedFiles(allActions, uploadManifest);
+  console.log(
+    `⏭️  Skipping ${allActions.length - actions.length} files unchanged since the last upload`
+  );
 
   const availableParallelism = os.availableParallelism();
   console.log(
@@ -98,6 +171,16 @@ async function uploadS3(options) {
       }
     });
 
+    for (const { remote, hash } of actions) {
+      uploadManifest[remote] = hash;
+    }
+    await minioClient.putObject(
+      bucket,
+      manifestKey,
+      JSON.stringify(uploadManifest),
+      { "Content-Type": "application/json" }
+    );
+
     const globalEnd = performance.now();
     const totalTime = ((globalEnd - globalStart) / 1000).toFixed(2);
 
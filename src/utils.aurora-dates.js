@@ -46,3 +46,32 @@ export function resolveLocalTimeToUtc(localTimeStr, referenceIso) {
   // 3. Combine into a new ISO string with the same date and offset
   return `${datePart}T${hh}:${mm}:00${offsetPart}`;
 }
+
+/**
+ * @param {string} iso - e.g. "2026-01-21T17:20:00+10:30"
+ * @returns {number|null} Offset from UTC in minutes, or null if there isn't one
+ */
+export function parseOffsetMinutes(iso) {
+  const match = iso?.match(/(Z|([+-])(\d{2}):?(\d{2}))$/);
+  if (!match) {
+    return null;
+  }
+  if (match[1] === "Z") {
+    return 0;
+  }
+  const minutes = Number(match[3]) * 60 + Number(match[4]);
+  return match[2] === "-" ? -minutes : minutes;
+}
+
+/**
+ * @param {number} minutes - Offset from UTC, e.g. 630
+ * @returns {string} e.g. "+10:30"
+ */
+export function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const hh = Math.floor(Math.abs(minutes) / 60)
+    .toString()
+    .padStart(2, "0");
+  const mm = (Math.abs(minutes) % 60).toString().padStart(2, "0");
+  return `${sign}${hh}:${mm}`;
+}
@@ -0,0 +1,67 @@
+import assert from "node:assert";
+import {
+  aggregateSeries,
+  getAggregateColumn,
+  validateAggregate,
+} from "../src/aggregate.js";
+
+describe("aggregate", () => {
+  const series = {
+    a: [
+      [0, 20],
+      [30, 22],
+      [60, 25],
+      [90, 21.5],
+      [1439, 18],
+    ],
+  };
+
+  describe("aggregateSeries", () => {
+    it("should bucket by hour", () => {
+      assert.deepStrictEqual(
+        aggregateSeries(series, { bucket: "hour", stat: "max" }).a,
+        [
+          [0, 22],
+          [60, 25],
+          [1380, 18],
+        ],
+      );
+    });
+
+    it("should calculate each stat for a day bucket", () => {
+      const stats = { min: 18, max: 25, mean: 21.3, sum: 106.5, last: 18 };
+      for (const [stat, expected] of Object.entries(stats)) {
+        assert.deepStrictEqual(
+          aggregateSeries(series, { bucket: "day", stat }).a,
+          [[0, expected]],
+          stat,
+        );
+      }
+    });
+
+    it("should sum rainfall intervals rather than running totals", () => {
+      assert.strictEqual(
+        getAggregateColumn("precipitationSince9amMM", { stat: "sum" }),
+        "rainIntervalMM",
+      );
+      assert.strictEqual(
+        getAggregateColumn("precipitationSince9amMM", { stat: "max" }),
+        "precipitationSince9amMM",
+      );
+      assert.strictEqual(getAggregateColumn("tempC", { stat: "sum" }), "tempC");
+    });
+  });
+
+  describe("validateAggregate", () => {
+    it("should list valid choices", () => {
+      assert.throws(
+        () => validateAggregate({ bucket: "week", stat: "mean" }),
+        /Valid choices are: hour, day/,
+      );
+      assert.throws(
+        () => validateAggregate({ bucket: "day", stat: "median" }),
+        /Valid choices are: min, max, mean, sum, last/,
+      );
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import assert from "node:assert";
+import {
+  anomalyValue,
+  binValues,
+  daysOfYearBetween,
+  localDayAndHour,
+  percentile,
+  percentileRank,
+  summarise,
+  validateAnomalyMode,
+} from "../src/climatology.js";
+
+describe("climatology", () => {
+  /** A row at a local time, with its offset in endTime */
+  const at = (endTime) => ({
+    auroraId: "a",
+    generationEpoch: Date.parse(endTime) / 1000,
+    endTime,
+  });
+
+  it("should find the station's local day of the year and hour", () => {
+    assert.deepStrictEqual(localDayAndHour(at("2025-01-01T00:30:00+10:30")), {
+      dayOfYear: 1,
+      hour: 0,
+    });
+    assert.deepStrictEqual(localDayAndHour(at("2023-03-01T23:00:00+08:00")), {
+      dayOfYear: 60,
+      hour: 23,
+    });
+    // 29 February shares the 28th's baselines
+    assert.deepStrictEqual(localDayAndHour(at("2024-02-29T05:00:00+10:00")), {
+      dayOfYear: 59,
+      hour: 5,
+    });
+    assert.deepStrictEqual(localDayAndHour(at("2024-12-31T12:00:00Z")), {
+      dayOfYear: 365,
+      hour: 12,
+    });
+    assert.strictEqual(
+      localDayAndHour({ generationEpoch: 0, endTime: null }),
+      null,
+    );
+  });
+
+  it("should summarise values into a mean and percentiles", () => {
+    assert.strictEqual(percentile([1, 2, 3, 4], 50), 2.5);
+    assert.strictEqual(percentile([1, 2, 3, 4], 25), 1.75);
+    assert.deepStrictEqual(summarise([5, 1, 4, 2, 3]), {
+      count: 5,
+      mean: 3,
+      p0: 1,
+      p5: 1.2,
+      p10: 1.4,
+      p25: 2,
+      p50: 3,
+      p75: 4,
+      p90: 4.6,
+      p95: 4.8,
+      p100: 5,
+    });
+  });
+
+  it("should rank values against a baseline", () => {
+    const baseline = summarise([1, 2, 3, 4, 5]);
+    assert.strictEqual(percentileRank(3, baseline), 50);
+    assert.strictEqual(percentileRank(2.5, baseline), 37.5);
+    assert.strictEqual(percentileRank(0, baseline), 0);
+    assert.strictEqual(percentileRank(9, baseline), 100);
+    // A value every percentile shares is in the middle
+    assert.strictEqual(percentileRank(1, summarise([1, 1, 1])), 50);
+
+    assert.strictEqual(anomalyValue(4.123, baseline, "departure"), 1.12);
+    assert.strictEqual(anomalyValue(2.25, baseline, "percentile"), 31.3);
+    assert.throws(() => validateAnomalyMode("zscore"), /Invalid anomaly mode/);
+  });
+
+  it("should count each value towards the days around it", () => {
+    const rows = [
+      at("2025-01-01T06:00:00+10:00"),
+      at("2025-01-02T06:00:00+10:00"),
+      at("2025-01-02T07:00:00+10:00"),
+      { ...at("2025-01-03T06:00:00Z"), endTime: null },
+    ];
+    const values = new Map(rows.map((row, i) => [row, i + 1]));
+    const bins = binValues(rows, values, 1);
+
+    // Day 1 wraps back to 31 December
+    assert.deepStrictEqual(
+      Object.fromEntries(
+        [...bins].map(([key, bin]) => [
+          `${Math.floor(key / 24)}/${key % 24}`,
+          bin,
+        ]),
+      ),
+      {
+        "365/6": [1],
+        "1/6": [1, 2],
+        "2/6": [1, 2],
+        "3/6": [2],
+        "1/7": [3],
+        "2/7": [3],
+        "3/7": [3],
+      },
+    );
+  });
+
+  it("should list the days of the year a range could cover locally", () => {
+    const start = Date.parse("2025-01-01T00:00:00Z") / 1000;
+    assert.deepStrictEqual(
+      daysOfYearBetween(start, start + 24 * 60 * 60 - 1),
+      [1, 2, 365],
+    );
+  });
+});
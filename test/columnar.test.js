@@ -0,0 +1,159 @@
+import assert from "node:assert";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { encodeColumnar, extendLocationIndex } from "../src/columnar.js";
+import { decodeColumnar } from "../src/decode-columnar.js";
+import { getColumnPrecision } from "../src/columns.js";
+import { processObservation } from "../src/fetch-weather-cron.js";
+import { getTimeSeriesForColumns } from "../src/generate-dataset.js";
+import { append, closeDatabase, initializeDatabase } from "../src/sqlite.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe("columnar", () => {
+  const dataset = {
+    updatedDate: "2026-01-14T12:26:20+10:00",
+    startDate: "2026-01-14T00:00:00+10:00",
+    timeZone: "Australia/Brisbane",
+    series: {
+      b: [
+        [1, 24.8],
+        [31, 24.3],
+        [61, 23.5],
+      ],
+      a: [
+        [0, -1.2],
+        [1500, 3],
+      ],
+    },
+  };
+
+  describe("extendLocationIndex", () => {
+    it("should append new locations without moving existing ones", () => {
+      assert.deepStrictEqual(extendLocationIndex(["b"], ["c", "a", "b"]), [
+        "b",
+        "a",
+        "c",
+      ]);
+    });
+  });
+
+  describe("encodeColumnar", () => {
+    it("should delta encode quantised values", () => {
+      const encoded = encodeColumnar(dataset, {
+        locationIndex: ["b", "a"],
+        precision: 1,
+      });
+      assert.deepStrictEqual(encoded.columns, {
+        ids: [0, 1],
+        counts: [3, 2],
+        x: [1, 30, 30, 0, 1500],
+        y: [248, -5, -8, -12, 42],
+      });
+      assert.strictEqual(encoded.startDate, dataset.startDate);
+    });
+
+    it("should reject locations missing from the index and text", () => {
+      assert.throws(
+        () => encodeColumnar(dataset, { locationIndex: ["b"], precision: 1 }),
+        /a is not in the location index/,
+      );
+      assert.throws(
+        () =>
+          encodeColumnar(
+            { series: { a: [[0, "NW"]] } },
+            { locationIndex: ["a"], precision: 0 },
+          ),
+        /only supports numbers/,
+      );
+    });
+  });
+
+  describe("decodeColumnar", () => {
+    describe("with datasets generated from the fixtures", () => {
+      const fixturesDir = path.resolve(__dirname, "aurora-observations");
+      const tempGeojsonPath = path.resolve(__dirname, "temp-columnar.geo.json");
+      const tempDbPath = path.resolve(__dirname, "temp-columnar.sqlite");
+      const columns = [
+        "tempC",
+        "relativeHumidityPct",
+        "maximumGustKmh",
+        "pressureMSLP",
+        "cloudOktas",
+        "windDirDeg",
+        "precipitationSince9amMM",
+      ];
+
+      before(async function () {
+        // One insert per observation in over 400 files
+        this.timeout(20000);
+        await fs.writeFile(
+          tempGeojsonPath,
+          JSON.stringify({ type: "FeatureCollection", features: [] }),
+        );
+        await initializeDatabase(tempDbPath, tempGeojsonPath);
+        for (const file of await fs.readdir(fixturesDir)) {
+          const auroraId = file.replace(/^loc|\.json$/g, "");
+          const fixture = JSON.parse(
+            await fs.readFile(path.join(fixturesDir, file), "utf8"),
+          );
+          const values =
+            fixture.data?.locations?.byId?.weather
+              ?.detailedHistoricConditions?.[0]?.values ?? [];
+          for (const data of values) {
+            await append({
+              auroraId,
+              fetchTime: "2026-01-21T02:00:00.000Z",
+              ...processObservation(data),
+            });
+          }
+        }
+      });
+
+      after(async () => {
+        closeDatabase();
+        await fs.unlink(tempGeojsonPath).catch(() => {});
+        await fs.unlink(tempDbPath).catch(() => {});
+      });
+
+      for (const localDays of [false, true]) {
+        it(`should round-trip${localDays ? " local days" : ""} exactly`, async () => {
+          const datasets = await getTimeSeriesForColumns({
+            columns,
+            dayStarts: ["2026-01-21"],
+            localDays,
+          });
+          for (const column of columns) {
+            const dataset = datasets[column]["2026-01-21"];
+            const locationIndex = Object.keys(dataset.series).reverse();
+            assert.ok(locationIndex.length > 100, column);
+            const decoded = decodeColumnar(
+              JSON.parse(
+                JSON.stringify(
+                  encodeColumnar(dataset, {
+                    locationIndex,
+                    precision: getColumnPrecision(column),
+                  }),
+                ),
+              ),
+              locationIndex,
+            );
+            assert.deepStrictEqual(decoded, dataset, column);
+          }
+        });
+      }
+    });
+
+    it("should round values to the precision", () => {
+      const decoded = decodeColumnar(
+        encodeColumnar(
+          { series: { a: [[0, 1.26]] } },
+          { locationIndex: ["a"], precision: 1 },
+        ),
+        ["a"],
+      );
+      assert.deepStrictEqual(decoded.series, { a: [[0, 1.3]] });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import assert from "node:assert";
+import { DatabaseSync } from "node:sqlite";
+import {
+  deriveColumns,
+  getColumnChoices,
+  getColumnCoverage,
+  getSourceColumns,
+  validateColumns,
+} from "../src/columns.js";
+import { createWeatherData } from "../src/migrations/01-create-weather_data.js";
+
+describe("columns", () => {
+  describe("getColumnChoices", () => {
+    it("should only include REAL columns by default", () => {
+      const choices = getColumnChoices();
+      assert.ok(choices.includes("tempC"));
+      assert.ok(!choices.includes("windDir"));
+      assert.ok(!choices.includes("auroraId"));
+      assert.ok(getColumnChoices({ allowText: true }).includes("windDir"));
+    });
+
+    it("should include derived columns", () => {
+      assert.ok(getColumnChoices().includes("rainIntervalMM"));
+      assert.deepStrictEqual(validateColumns(["rainIntervalMM"]), [
+        "rainIntervalMM",
+      ]);
+    });
+  });
+
+  describe("deriveColumns", () => {
+    const rows = [
+      {
+        auroraId: "a",
+        generationEpoch: 0,
+        tempC: 30,
+        relativeHumidityPct: 60,
+        averageWindSpeedKm: 18,
+        windDirDeg: 270,
+      },
+      {
+        auroraId: "a",
+        generationEpoch: 600,
+        tempC: 20,
+        relativeHumidityPct: null,
+        averageWindSpeedKm: 0,
+        windDirDeg: 0,
+      },
+    ];
+
+    it("should read each derived column's sources", () => {
+      assert.deepStrictEqual(getSourceColumns(["tempF", "windUMs", "tempC"]), [
+        "tempC",
+        "averageWindSpeedKm",
+        "windDirDeg",
+      ]);
+    });
+
+    it("should compute unit conversions and indices for each row", () => {
+      const derived = deriveColumns(
+        ["tempF", "averageWindSpeedMs", "vpdKPa", "heatIndexC", "windUMs"],
+        rows,
+      );
+      assert.deepStrictEqual(
+        Object.fromEntries(
+          Object.entries(derived).map(([column, values]) => [
+            column,
+            rows.map((row) => values.get(row) ?? null),
+          ]),
+        ),
+        {
+          tempF: [86, 68],
+          averageWindSpeedMs: [5, 0],
+          // Rows without humidity have no value
+          vpdKPa: [1.7, null],
+          // 91°F on the NWS chart
+          heatIndexC: [32.83, null],
+          // A westerly blows towards the east
+          windUMs: [5, 0],
+        },
+      );
+    });
+  });
+
+  describe("validateColumns", () => {
+    it("should accept and trim valid columns", () => {
+      assert.deepStrictEqual(validateColumns(["tempC", " rainHour"]), [
+        "tempC",
+        "rainHour",
+      ]);
+    });
+
+    it("should reject unknown columns and list the choices", () => {
+      assert.throws(
+        () => validateColumns(["tempC", "tempc"]),
+        /Invalid column "tempc"\. Valid choices are: .*tempC/,
+      );
+    });
+
+    it("should reject SQL", () => {
+      assert.throws(
+        () => validateColumns(["tempC as value FROM weather_data; --"]),
+        /Invalid column/,
+      );
+    });
+
+    it("should reject TEXT columns unless allowed", () => {
+      assert.throws(() => validateColumns(["windDir"]), /Invalid column/);
+      assert.deepStrictEqual(
+        validateColumns(["windDir"], { allowText: true }),
+        ["windDir"],
+      );
+    });
+  });
+
+  describe("getColumnCoverage", () => {
+    it("should count populated rows per column", () => {
+      const db = new DatabaseSync(":memory:");
+      createWeatherData(db);
+      const insert = db.prepare(
+        "INSERT INTO weather_data (auroraId, fetchTime, generationTime, tempC) VALUES (?, ?, ?, ?)",
+      );
+      insert.run("a", "x", "2026-01-21T10:00:00+10:00", 20);
+      insert.run("a", "x", "2026-01-21T10:10:00+10:00", null);
+
+      const coverage = getColumnCoverage(db);
+      assert.deepStrictEqual(
+        coverage.find((c) => c.column === "tempC"),
+        { column: "tempC", type: "REAL", count: 1, total: 2 },
+      );
+      assert.strictEqual(
+        coverage.find((c) => c.column === "windDir").type,
+        "TEXT",
+      );
+      assert.strictEqual(
+        coverage.find((c) => c.column === "rainIntervalMM").count,
+        0,
+      );
+      db.close();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import assert from "node:assert";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import detectGaps, { findGaps, groupGapsByDay } from "../src/detect-gaps.js";
+import { append, closeDatabase, initializeDatabase } from "../src/sqlite.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe("detect-gaps", () => {
+  const rows = [
+    { auroraId: "a", generationTime: "2026-01-21T10:00:00+10:00" },
+    { auroraId: "a", generationTime: "2026-01-21T10:10:00+10:00" },
+    { auroraId: "a", generationTime: "2026-01-21T11:10:00+10:00" },
+    { auroraId: "a", generationTime: "2026-01-21T23:50:00+10:00" },
+    { auroraId: "a", generationTime: "2026-01-22T00:00:00+10:00" },
+    { auroraId: "b", generationTime: "2026-01-22T05:00:00+11:00" },
+    { auroraId: "b", generationTime: "2026-01-22T05:20:00+11:00" },
+  ];
+
+  describe("findGaps", () => {
+    it("should find spans longer than the cadence", () => {
+      const gaps = findGaps(rows, 30);
+      assert.deepStrictEqual(gaps, [
+        {
+          auroraId: "a",
+          start: "2026-01-21T10:10:00+10:00",
+          end: "2026-01-21T11:10:00+10:00",
+          minutes: 60,
+        },
+        {
+          auroraId: "a",
+          start: "2026-01-21T11:10:00+10:00",
+          end: "2026-01-21T23:50:00+10:00",
+          minutes: 760,
+        },
+      ]);
+    });
+
+    it("should not compare observations across locations", () => {
+      const gaps = findGaps(rows, 15);
+      assert.deepStrictEqual(
+        gaps.map((gap) => gap.auroraId),
+        ["a", "a", "b"],
+      );
+    });
+
+    it("should compare times with different offsets chronologically", () => {
+      const gaps = findGaps(
+        [
+          { auroraId: "a", generationTime: "2026-01-21T10:00:00+10:00" },
+          { auroraId: "a", generationTime: "2026-01-21T11:10:00+11:00" },
+        ],
+        30,
+      );
+      assert.strictEqual(gaps.length, 0);
+    });
+  });
+
+  describe("groupGapsByDay", () => {
+    it("should group gaps by location and Brisbane day", () => {
+      const report = groupGapsByDay(findGaps(rows, 15), "Australia/Brisbane");
+      assert.deepStrictEqual(report, {
+        a: { "2026-01-21": { count: 2, minutes: 820 } },
+        b: { "2026-01-22": { count: 1, minutes: 20 } },
+      });
+    });
+
+    it("should group gaps by day in another time zone", () => {
+      const gaps = [
+        {
+          auroraId: "a",
+          start: "2026-01-22T01:00:00+10:00",
+          end: "2026-01-22T02:00:00+10:00",
+          minutes: 60,
+        },
+      ];
+      assert.deepStrictEqual(groupGapsByDay(gaps, "Australia/Brisbane"), {
+        a: { "2026-01-22": { count: 1, minutes: 60 } },
+      });
+      // 11pm the night before in Perth
+      assert.deepStrictEqual(groupGapsByDay(gaps, "Australia/Perth"), {
+        a: { "2026-01-21": { count: 1, minutes: 60 } },
+      });
+    });
+  });
+
+  describe("detectGaps", () => {
+    const tempGeojsonPath = path.resolve(__dirname, "temp-gaps.geo.json");
+    const tempDbPath = path.resolve(__dirname, "temp-gaps.sqlite");
+    const now = Math.floor(Date.now() / 1000 / 600) * 600;
+
+    before(async () => {
+      await fs.writeFile(
+        tempGeojsonPath,
+        JSON.stringify({
+          type: "FeatureCollection",
+          features: [
+            {
+              type: "Feature",
+              properties: { name: "A", auroraId: "a" },
+              geometry: { type: "Point", coordinates: [0, 0] },
+            },
+          ],
+        }),
+      );
+      await initializeDatabase(tempDbPath, tempGeojsonPath);
+      // Minutes ago: one outside a one day scan, then a 60 minute gap
+      for (const minutes of [3 * 24 * 60, 120, 110, 50]) {
+        const generationEpoch = now - minutes * 60;
+        const generationTime = new Date(generationEpoch * 1000).toISOString();
+        await append({
+          auroraId: "a",
+          fetchTime: generationTime,
+          generationTime,
+          generationEpoch,
+          tempC: 20,
+        });
+      }
+      closeDatabase();
+    });
+
+    after(async () => {
+      closeDatabase();
+      await fs.unlink(tempGeojsonPath).catch(() => {});
+      await fs.unlink(tempDbPath).catch(() => {});
+    });
+
+    it("should reject an unknown time zone", async () => {
+      await assert.rejects(
+        detectGaps({
+          geojsonPath: tempGeojsonPath,
+          databasePath: tempDbPath,
+          tz: "Mars/Olympus",
+        }),
+        /Invalid time zone "Mars\/Olympus"/,
+      );
+    });
+
+    it("should only scan observations from the last few days", async () => {
+      const { gaps } = await detectGaps({
+        geojsonPath: tempGeojsonPath,
+        databasePath: tempDbPath,
+        days: 1,
+      });
+      assert.deepStrictEqual(
+        gaps.map(({ auroraId, minutes }) => ({ auroraId, minutes })),
+        [{ auroraId: "a", minutes: 60 }],
+      );
+    });
+  });
+});
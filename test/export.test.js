@@ -0,0 +1,105 @@
+import assert from "node:assert";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import exportCsv, { csvField, csvLines } from "../src/export.js";
+import { append, closeDatabase, initializeDatabase } from "../src/sqlite.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe("export", () => {
+  describe("csvField", () => {
+    it("should quote fields that need it", () => {
+      assert.strictEqual(csvField("Brisbane"), "Brisbane");
+      assert.strictEqual(csvField('Say "hi", all'), '"Say ""hi"", all"');
+      assert.strictEqual(csvField(null), "");
+      assert.strictEqual(csvField(0), "0");
+    });
+  });
+
+  describe("csvLines", () => {
+    const observations = [
+      {
+        auroraId: "a",
+        name: "A",
+        state: "QLD",
+        latitude: -27,
+        longitude: 153,
+        timeUTC: "2026-01-21T00:00:00Z",
+        timeLocal: "2026-01-21T10:00:00+10:00",
+        tempC: 25,
+        windDir: null,
+      },
+    ];
+
+    it("should write one row per value in long format", () => {
+      assert.deepStrictEqual(
+        [...csvLines(observations, ["tempC", "windDir"], "long")],
+        [
+          "auroraId,name,state,latitude,longitude,timeUTC,timeLocal,column,value\n",
+          "a,A,QLD,-27,153,2026-01-21T00:00:00Z,2026-01-21T10:00:00+10:00,tempC,25\n",
+        ],
+      );
+    });
+
+    it("should write one row per observation in wide format", () => {
+      assert.deepStrictEqual(
+        [...csvLines(observations, ["tempC", "windDir"], "wide")],
+        [
+          "auroraId,name,state,latitude,longitude,timeUTC,timeLocal,tempC,windDir\n",
+          "a,A,QLD,-27,153,2026-01-21T00:00:00Z,2026-01-21T10:00:00+10:00,25,\n",
+        ],
+      );
+    });
+  });
+
+  describe("exportCsv", () => {
+    const tempDbPath = path.resolve(__dirname, "temp-export.sqlite");
+    const tempCsvPath = path.resolve(__dirname, "temp-export.csv");
+
+    before(async () => {
+      await initializeDatabase(tempDbPath);
+      const observations = [
+        // Kalumburu, WA
+        ["locc3c65a9075db", "2026-01-21T09:00:00+08:00", 30, "NW"],
+        // Cape Moreton Lighthouse, QLD: the day before and the day itself
+        ["locf69fd0c30f7f", "2026-01-20T23:30:00+10:00", 24, "E"],
+        ["locf69fd0c30f7f", "2026-01-21T11:00:00+10:00", 27.5, "SE"],
+      ];
+      for (const [auroraId, generationTime, tempC, windDir] of observations) {
+        await append({
+          auroraId,
+          fetchTime: generationTime,
+          generationTime,
+          generationEpoch: Date.parse(generationTime) / 1000,
+          tempC,
+          windDir,
+        });
+      }
+    });
+
+    after(async () => {
+      closeDatabase();
+      await fs.unlink(tempDbPath).catch(() => {});
+      await fs.unlink(tempCsvPath).catch(() => {});
+    });
+
+    it("should export the chosen locations and dates", async () => {
+      const result = await exportCsv({
+        databasePath: tempDbPath,
+        output: tempCsvPath,
+        locations: "QLD",
+        columns: "tempC,windDir",
+        from: "2026-01-21",
+        tz: "Australia/Brisbane",
+        layout: "wide",
+      });
+      assert.deepStrictEqual(result, { rows: 1, lines: 2 });
+      assert.strictEqual(
+        await fs.readFile(tempCsvPath, "utf8"),
+        "auroraId,name,state,latitude,longitude,timeUTC,timeLocal,tempC,windDir\n" +
+          "locf69fd0c30f7f,Cape Moreton Lighthouse,QLD,-27.0314,153.4661,2026-01-21T01:00:00Z,2026-01-21T11:00:00+10:00,27.5,SE\n",
+      );
+    });
+  });
+});
@@ -2,7 +2,10 @@ import assert from "node:assert";
 import fs from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import fetchWeatherCron from "../src/fetch-weather-cron.js";
+import fetchWeatherCron, {
+  batchQuery,
+  validatePositiveInteger,
+} from "../src/fetch-weather-cron.js";
 import { initializeDatabase, closeDatabase } from "../src/sqlite.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -32,11 +35,47 @@ describe("fetchWeatherCron", () => {
           },
           geometry: { type: "Point", coordinates: [1, 1] },
         },
+        {
+          type: "Feature",
+          properties: {
+            name: "Test Location 3",
+            auroraId: "9e0c7b3ad507",
+          },
+          geometry: { type: "Point", coordinates: [2, 2] },
+        },
       ],
     };
     await fs.writeFile(tempGeojsonPath, JSON.stringify(geojson));
   });
 
+  const readFixture = async (id) => {
+    const sampleDataPath = path.resolve(
+      __dirname,
+      `aurora-observations/loc${id}.json`,
+    );
+    const content = await fs.readFile(sampleDataPath, "utf8");
+    return JSON.parse(content);
+  };
+
+  // Answers both single byId queries and aliased batches of them
+  const mockQueryFn = async (query) => {
+    const matches = [
+      ...query.matchAll(
+        /(?:(a\d+): )?byId\(id: "aurora:\/\/location\/([a-z0-9]+)"\)/g,
+      ),
+    ];
+    if (!matches.length) throw new Error("Could not find auroraId in query");
+
+    if (!matches[0][1]) {
+      return readFixture(matches[0][2]);
+    }
+    const locations = {};
+    for (const [, alias, id] of matches) {
+      locations[alias] = (await readFixture(id)).data.locations.byId;
+    }
+    return { data: { locations } };
+  };
+
   afterEach(async () => {
     closeDatabase();
     await fs.unlink(tempGeojsonPath).catch(() => {});
@@ -44,19 +83,6 @@ describe("fetchWeatherCron", () => {
   });
 
   it("should fetch weather and insert into DB for multiple locations", async () => {
-    const mockQueryFn = async (query) => {
-      const match = query.match(/aurora:\/\/location\/([a-z0-9]+)/);
-      const id = match ? match[1] : null;
-      if (!id) throw new Error("Could not find auroraId in query");
-
-      const sampleDataPath = path.resolve(
-        __dirname,
-        `aurora-observations/loc${id}.json`,
-      );
-      const content = await fs.readFile(sampleDataPath, "utf8");
-      return JSON.parse(content);
-    };
-
     await fetchWeatherCron({
       geojsonPath: tempGeojsonPath,
       databasePath: tempDbPath,
@@ -91,4 +117,327 @@ describe("fetchWeatherCron", () => {
     assert.strictEqual(row2.auroraId, "0aee89e74496");
     assert.ok(row2.tempC !== null);
   });
+
+  it("should only store the first observation outside backfill mode", async () => {
+    await fetchWeatherCron({
+      geojsonPath: tempGeojsonPath,
+      databasePath: tempDbPath,
+      queryFn: mockQueryFn,
+    });
+
+    const db = await initializeDatabase(tempDbPath, tempGeojsonPath);
+    const { count } = db
+      .prepare("SELECT COUNT(*) as count FROM weather_data WHERE auroraId = ?")
+      .get("9e0c7b3ad507");
+    assert.strictEqual(count, 1);
+  });
+
+  it("should insert every observation in backfill mode and dedupe reruns", async () => {
+    let requestedHours;
+    const queryFn = (query) => {
+      requestedHours = query.match(
+        /detailedHistoricConditions\(hours: (\d+)\)/,
+      )[1];
+      return mockQueryFn(query);
+    };
+
+    const first = await fetchWeatherCron({
+      geojsonPath: tempGeojsonPath,
+      databasePath: tempDbPath,
+      queryFn,
+      backfill: true,
+      hours: 6,
+    });
+    assert.strictEqual(requestedHours, "6");
+    const location3 = first.results.find((r) => r.auroraId === "9e0c7b3ad507");
+    assert.strictEqual(location3.received, 7);
+    assert.strictEqual(location3.inserted, 7);
+
+    const second = await fetchWeatherCron({
+      geojsonPath: tempGeojsonPath,
+      databasePath: tempDbPath,
+      queryFn,
+      backfill: true,
+    });
+    assert.strictEqual(requestedHours, "24");
+    second.results.forEach((result) => assert.strictEqual(result.inserted, 0));
+
+    const db = await initializeDatabase(tempDbPath, tempGeojsonPath);
+    const { count } = db
+      .prepare("SELECT COUNT(*) as count FROM weather_data WHERE auroraId = ?")
+      .get("9e0c7b3ad507");
+    assert.strictEqual(count, 7);
+  });
+
+  it("should store QC flags alongside each row", async () => {
+    const queryFn = async (query) => {
+      const res = await mockQueryFn(query);
+      const { values } =
+        res.data.locations.byId.weather.detailedHistoricConditions[0];
+      if (query.includes("0a9a5834157b")) {
+        values[0] = { ...values[0], tempC: 60, dewPointC: 61 };
+      }
+      return res;
+    };
+    await fetchWeatherCron({
+      geojsonPath: tempGeojsonPath,
+      databasePath: tempDbPath,
+      queryFn,
+      batchSize: 1,
+    });
+
+    const db = await initializeDatabase(tempDbPath, tempGeojsonPath);
+    const flags = db
+      .prepare("SELECT auroraId, qcFlags FROM weather_data ORDER BY auroraId")
+      .all()
+      .map((row) => ({ ...row }));
+    assert.deepStrictEqual(flags, [
+      {
+        auroraId: "0a9a5834157b",
+        qcFlags: JSON.stringify({ tempC: ["range"], dewPointC: ["range"] }),
+      },
+      { auroraId: "0aee89e74496", qcFlags: null },
+      { auroraId: "9e0c7b3ad507", qcFlags: null },
+    ]);
+  });
+
+  it("should store observations with unparseable numbers as null", async () => {
+    const queryFn = async (query) => {
+      const res = await mockQueryFn(query);
+      const { values } =
+        res.data.locations.byId.weather.detailedHistoricConditions[0];
+      values[0] = { ...values[0], cloud: null, cloudOktas: "-" };
+      return res;
+    };
+    const { results } = await fetchWeatherCron({
+      geojsonPath: tempGeojsonPath,
+      databasePath: tempDbPath,
+      queryFn,
+      batchSize: 1,
+    });
+    results.forEach((result) => assert.strictEqual(result.inserted, 1));
+
+    const db = await initializeDatabase(tempDbPath, tempGeojsonPath);
+    const { count } = db
+      .prepare(
+        "SELECT COUNT(*) AS count FROM weather_data WHERE cloudOktas IS NULL",
+      )
+      .get();
+    assert.strictEqual(count, 3);
+  });
+
+  it("should update station records after each run", async () => {
+    const options = {
+      geojsonPath: tempGeojsonPath,
+      databasePath: tempDbPath,
+      batchSize: 1,
+    };
+    const first = await fetchWeatherCron({ ...options, queryFn: mockQueryFn });
+    assert.deepStrictEqual(first.recordsBroken, []);
+
+    // A hotter day at location 1, ten minutes later
+    const queryFn = async (query) => {
+      const res = await mockQueryFn(query);
+      const { values } =
+        res.data.locations.byId.weather.detailedHistoricConditions[0];
+      if (query.includes("0a9a5834157b")) {
+        values[0] = {
+          ...values[0],
+          generationTime: "2026-01-21T11:41:03+10:00",
+          maximumTempC: 32.3,
+        };
+      }
+      return res;
+    };
+    const second = await fetchWeatherCron({ ...options, queryFn });
+    assert.deepStrictEqual(
+      second.recordsBroken.map(
+        ({ auroraId, columnName, month, extreme, oldValue, newValue }) => ({
+          auroraId,
+          columnName,
+          month,
+          extreme,
+          oldValue,
+          newValue,
+        }),
+      ),
+      [0, 1].map((month) => ({
+        auroraId: "0a9a5834157b",
+        columnName: "maximumTempC",
+        month,
+        extreme: "high",
+        oldValue: 27.3,
+        newValue: 32.3,
+      })),
+    );
+
+    const db = await initializeDatabase(tempDbPath, tempGeojsonPath);
+    const { count } = db
+      .prepare("SELECT COUNT(*) AS count FROM record_breaks WHERE runId = ?")
+      .get(second.runId);
+    assert.strictEqual(count, 2);
+  });
+
+  it("should summarise failures and flag an exceeded failure budget", async () => {
+    const queryFn = async (query) => {
+      if (query.includes("0aee89e74496")) {
+        throw new Error("Service unavailable");
+      }
+      return mockQueryFn(query);
+    };
+
+    const withinBudget = await fetchWeatherCron({
+      geojsonPath: tempGeojsonPath,
+      databasePath: tempDbPath,
+      queryFn,
+      batchSize: 1,
+      maxFailures: "1",
+    });
+    assert.strictEqual(withinBudget.results.length, 2);
+    assert.deepStrictEqual(
+      withinBudget.failures.map((f) => f.auroraId),
+      ["0aee89e74496"],
+    );
+    assert.strictEqual(withinBudget.budgetExceeded, false);
+
+    const overBudget = await fetchWeatherCron({
+      geojsonPath: tempGeojsonPath,
+      databasePath: tempDbPath,
+      queryFn,
+      batchSize: 1,
+      maxFailures: "10%",
+    });
+    assert.strictEqual(overBudget.budgetExceeded, true);
+  });
+
+  it("should request locations in aliased batches", async () => {
+    const queries = [];
+    const results = await fetchWeatherCron({
+      geojsonPath: tempGeojsonPath,
+      databasePath: tempDbPath,
+      queryFn: (query) => {
+        queries.push(query);
+        return mockQueryFn(query);
+      },
+      batchSize: 2,
+    });
+
+    assert.strictEqual(queries.length, 2);
+    assert.match(queries[0], /a1: byId\(.*a2: byId\(/);
+    assert.match(queries[1], /^query ByLatLongWithRadius/);
+    assert.strictEqual(results.results.length, 3);
+    assert.strictEqual(results.failures.length, 0);
+  });
+
+  it("should only retry the alias that errored in a batch", async () => {
+    const queries = [];
+    const queryFn = async (query, options) => {
+      queries.push(query);
+      const res = await mockQueryFn(query, options);
+      if (query.startsWith("query ByIds")) {
+        res.data.locations.a2 = null;
+        res.errors = [{ message: "Boom", path: ["locations", "a2"] }];
+      }
+      return res;
+    };
+
+    const { results, failures, retried } = await fetchWeatherCron({
+      geojsonPath: tempGeojsonPath,
+      databasePath: tempDbPath,
+      queryFn,
+      batchSize: 3,
+    });
+
+    assert.strictEqual(queries.length, 2);
+    assert.ok(queries[1].includes("0aee89e74496"));
+    assert.ok(!queries[1].includes("0a9a5834157b"));
+    assert.strictEqual(results.length, 3);
+    assert.strictEqual(failures.length, 0);
+    assert.deepStrictEqual(retried, ["0aee89e74496"]);
+  });
+
+  it("should build one aliased query per batch", () => {
+    const query = batchQuery(
+      ["aurora://location/one", "aurora://location/two"],
+      3,
+    );
+    assert.match(query, /^query ByIds \{locations \{a1: byId/);
+    assert.ok(query.includes('a2: byId(id: "aurora://location/two")'));
+    assert.strictEqual(query.match(/hours: 3/g).length, 2);
+  });
+
+  it("should record the run and each location's outcome", async () => {
+    const queryFn = async (query) => {
+      if (query.includes("0aee89e74496")) {
+        throw new Error("Service unavailable");
+      }
+      return mockQueryFn(query);
+    };
+    const options = {
+      geojsonPath: tempGeojsonPath,
+      databasePath: tempDbPath,
+      queryFn,
+      batchSize: 1,
+      maxFailures: "5",
+    };
+    await fetchWeatherCron(options);
+    const { runId } = await fetchWeatherCron(options);
+
+    const db = await initializeDatabase(tempDbPath, tempGeojsonPath);
+    const run = db.prepare("SELECT * FROM fetch_runs WHERE id = ?").get(runId);
+    assert.ok(run.endTime >= run.startTime);
+    assert.strictEqual(run.mode, "cron");
+    assert.strictEqual(run.locations, 3);
+    assert.strictEqual(run.succeeded, 2);
+    assert.strictEqual(run.failed, 1);
+    assert.strictEqual(run.inserted, 0);
+    assert.strictEqual(run.duplicates, 2);
+
+    const statuses = db
+      .prepare(
+        "SELECT auroraId, status, error FROM fetch_results WHERE runId = ? ORDER BY auroraId",
+      )
+      .all(runId)
+      .map((row) => ({ ...row }));
+    assert.deepStrictEqual(statuses, [
+      { auroraId: "0a9a5834157b", status: "duplicate", error: null },
+      {
+        auroraId: "0aee89e74496",
+        status: "failed",
+        error: "Service unavailable",
+      },
+      { auroraId: "9e0c7b3ad507", status: "duplicate", error: null },
+    ]);
+  });
+
+  it("should only accept whole numbers above 0 as counts", () => {
+    assert.strictEqual(validatePositiveInteger("20", "batch size"), 20);
+    assert.strictEqual(validatePositiveInteger(3, "concurrency"), 3);
+    for (const value of [0, "0", -1, "1.5", "abc", ""]) {
+      assert.throws(
+        () => validatePositiveInteger(value, "batch size"),
+        /Invalid batch size/,
+      );
+    }
+  });
+
+  it("should reject a batch size or concurrency below 1", async () => {
+    const options = {
+      geojsonPath: tempGeojsonPath,
+      databasePath: tempDbPath,
+      queryFn: mockQueryFn,
+    };
+    await assert.rejects(
+      fetchWeatherCron({ ...options, batchSize: "0" }),
+      /Invalid batch size: 0/,
+    );
+    await assert.rejects(
+      fetchWeatherCron({ ...options, batchSize: "abc" }),
+      /Invalid batch size: abc/,
+    );
+    await assert.rejects(
+      fetchWeatherCron({ ...options, concurrency: 0 }),
+      /Invalid concurrency: 0/,
+    );
+  });
 });
@@ -0,0 +1,612 @@
+import assert from "node:assert";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  addDaysToDate,
+  getDayBoundaries,
+  getTimeSeriesForColumn,
+  getTimeSeriesForColumns,
+  resolveRange,
+  todayIn,
+} from "../src/generate-dataset.js";
+import generateDatasets, {
+  resolveDayStarts,
+} from "../src/generate-datasets.js";
+import { getLatest } from "../src/generate-latest.js";
+import { getRollupForColumn } from "../src/generate-rollup.js";
+import { getGridForColumn } from "../src/generate-grid.js";
+import { buildClimatology } from "../src/climatology.js";
+import { hashDataset } from "../src/manifest.js";
+import { decodeColumnar } from "../src/decode-columnar.js";
+import { append, closeDatabase, initializeDatabase } from "../src/sqlite.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe("generate-dataset", () => {
+  const tempGeojsonPath = path.resolve(__dirname, "temp-generate.geo.json");
+  const tempDbPath = path.resolve(__dirname, "temp-generate.sqlite");
+  const tempAssetsDir = path.resolve(__dirname, "temp-assets");
+
+  before(async () => {
+    await fs.writeFile(
+      tempGeojsonPath,
+      JSON.stringify({
+        type: "FeatureCollection",
+        features: [
+          {
+            type: "Feature",
+            properties: { name: "A", auroraId: "a" },
+            geometry: { type: "Point", coordinates: [0, 0] },
+          },
+        ],
+      }),
+    );
+    await initializeDatabase(tempDbPath, tempGeojsonPath);
+
+    // One observation every 30 minutes for the last three days
+    const now = Math.floor(Date.now() / (30 * 60 * 1000)) * 30 * 60 * 1000;
+    for (let i = 0; i < 3 * 48; i++) {
+      const generationTime = new Date(now - i * 30 * 60 * 1000);
+      await append({
+        auroraId: "a",
+        fetchTime: generationTime.toISOString(),
+        generationTime: generationTime.toISOString(),
+        generationEpoch: generationTime.getTime() / 1000,
+        tempC: 20 + (i % 10),
+        // Only every second observation has a humidity reading
+        relativeHumidityPct: i % 2 ? null : 50,
+        // A steady 1mm since 9am (UTC, from the endTime offset)
+        endTime: generationTime.toISOString(),
+        precipitationSince9amMM: 1,
+      });
+    }
+  });
+
+  after(async () => {
+    closeDatabase();
+    await fs.unlink(tempGeojsonPath).catch(() => {});
+    await fs.unlink(tempDbPath).catch(() => {});
+    await fs.rm(tempAssetsDir, { recursive: true, force: true });
+  });
+
+  it("should fan one query out to every column and day", async () => {
+    const datasets = await getTimeSeriesForColumns({
+      columns: ["tempC", "relativeHumidityPct"],
+      dayStarts: [0, -1],
+    });
+
+    assert.deepStrictEqual(Object.keys(datasets), [
+      "tempC",
+      "relativeHumidityPct",
+    ]);
+    for (const column of Object.keys(datasets)) {
+      assert.deepStrictEqual(Object.keys(datasets[column]).sort(), ["-1", "0"]);
+      assert.ok(datasets[column][-1].startDate < datasets[column][0].startDate);
+    }
+
+    // A full day of readings yesterday, every second one with humidity
+    const yesterdayTemps = datasets.tempC[-1].series.a;
+    assert.ok(yesterdayTemps.length >= 48);
+    assert.ok(yesterdayTemps.every(([x]) => x >= 0 && x <= 1440));
+    const yesterdayHumidity = datasets.relativeHumidityPct[-1].series.a;
+    assert.ok(
+      Math.abs(yesterdayHumidity.length - yesterdayTemps.length / 2) <= 1,
+    );
+    assert.ok(yesterdayHumidity.every(([, value]) => value === 50));
+  });
+
+  it("should match the single column output", async () => {
+    const datasets = await getTimeSeriesForColumns({
+      columns: ["tempC"],
+      dayStarts: [-1],
+    });
+    const single = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: -1,
+    });
+    assert.deepStrictEqual(single.series, datasets.tempC[-1].series);
+    assert.strictEqual(single.startDate, datasets.tempC[-1].startDate);
+  });
+
+  it("should find day boundaries in any time zone", () => {
+    const perth = getDayBoundaries(-1, "Australia/Perth");
+    assert.match(perth.start.toISOString(), /T16:00:00\.000Z$/);
+    assert.match(perth.end.toISOString(), /T15:59:59\.999Z$/);
+    assert.strictEqual(perth.end - perth.start, 24 * 60 * 60 * 1000 - 1);
+
+    const sydney = getDayBoundaries(-1, "Australia/Sydney");
+    assert.match(sydney.start.toISOString(), /T1[34]:00:00\.000Z$/);
+  });
+
+  it("should record the time zone used", async () => {
+    const dataset = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: -1,
+      timeZone: "Australia/Perth",
+    });
+    assert.strictEqual(dataset.timeZone, "Australia/Perth");
+    assert.match(dataset.startDate, /T00:00:00\+08:00$/);
+
+    await assert.rejects(
+      getTimeSeriesForColumn({ column: "tempC", timeZone: "Perth" }),
+      /Invalid time zone "Perth"/,
+    );
+  });
+
+  it("should bucket by each location's local day", async () => {
+    // The test rows' endTime offsets are all UTC
+    const dataset = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: -1,
+      timeZone: "UTC",
+      localDays: true,
+    });
+    assert.strictEqual(dataset.localDays, true);
+    assert.deepStrictEqual(dataset.offsets, { a: "+00:00" });
+    assert.strictEqual(dataset.series.a.length, 48);
+    assert.deepStrictEqual(dataset.series.a[0][0], 0);
+    assert.deepStrictEqual(dataset.series.a.at(-1)[0], 1410);
+  });
+
+  it("should span several days from an ISO date", async () => {
+    const from = addDaysToDate(todayIn("UTC"), -2);
+    const dataset = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: from,
+      span: 2,
+      timeZone: "UTC",
+    });
+    assert.strictEqual(dataset.startDate, `${from}T00:00:00Z`);
+    assert.strictEqual(dataset.endDate, `${addDaysToDate(from, 1)}T23:59:59Z`);
+    // Two full days of readings every 30 minutes, with offsets past 1440
+    assert.strictEqual(dataset.series.a.length, 96);
+    assert.strictEqual(dataset.series.a.at(-1)[0], 2 * 1440 - 30);
+  });
+
+  it("should resolve --from, --to and --span", () => {
+    assert.deepStrictEqual(resolveRange({ from: "2026-01-13" }), {
+      dayStart: "2026-01-13",
+      span: 1,
+    });
+    assert.deepStrictEqual(
+      resolveRange({ from: "2026-01-13", to: "2026-01-19" }),
+      { dayStart: "2026-01-13", span: 7 },
+    );
+    assert.throws(
+      () => resolveRange({ from: "2026-01-13", to: "2026-01-12" }),
+      /before/,
+    );
+    assert.throws(() => resolveRange({ from: "2026-02-30" }), /Invalid --from/);
+    assert.deepStrictEqual(resolveRange({ dayStart: "-2" }), {
+      dayStart: -2,
+      span: 1,
+    });
+    assert.throws(
+      () => resolveRange({ dayStart: "foo" }),
+      /Invalid --dayStart "foo"/,
+    );
+
+    assert.deepStrictEqual(
+      resolveDayStarts({ from: "2026-01-13", to: "2026-01-26", span: 7 }),
+      ["2026-01-13", "2026-01-20"],
+    );
+    assert.deepStrictEqual(resolveDayStarts({ to: "2026-01-13", days: 3 }), [
+      "2026-01-11",
+      "2026-01-12",
+      "2026-01-13",
+    ]);
+
+    for (const value of [0, "0", -1, "-7", "abc", "1.5"]) {
+      assert.throws(
+        () => resolveDayStarts({ to: "2026-01-10", days: 3, span: value }),
+        new RegExp(`Invalid --span "${value}"`),
+      );
+      assert.throws(
+        () => resolveDayStarts({ to: "2026-01-10", days: value }),
+        new RegExp(`Invalid --days "${value}"`),
+      );
+    }
+  });
+
+  it("should name multi-day files by their first and last dates", async () => {
+    const to = addDaysToDate(todayIn(), -1);
+    const from = addDaysToDate(to, -1);
+    await generateDatasets({
+      columns: "tempC",
+      from,
+      to,
+      span: "2",
+      outputDir: tempAssetsDir,
+    });
+    await fs.access(path.join(tempAssetsDir, "tempC", `${from}_${to}.json`));
+  });
+
+  it("should write columnar files that decode to the JSON output", async () => {
+    const outputDir = path.join(tempAssetsDir, "columnar");
+    const options = { columns: "tempC", days: "2", outputDir };
+    await generateDatasets(options);
+    await generateDatasets({ ...options, format: "columnar" });
+
+    const date = todayIn();
+    const read = async (file) =>
+      JSON.parse(await fs.readFile(path.join(outputDir, file), "utf8"));
+    const json = await read(`tempC/${date}.json`);
+    const columnar = await read(`tempC/${date}.columnar.json`);
+    const locationIndex = await read("location-index.json");
+
+    assert.deepStrictEqual(locationIndex, ["a"]);
+    // Everything but the time each file was written
+    const { updatedDate, ...decoded } = decodeColumnar(columnar, locationIndex);
+    const { updatedDate: jsonUpdatedDate, ...expected } = json;
+    assert.deepStrictEqual(decoded, expected);
+
+    await assert.rejects(
+      generateDatasets({
+        ...options,
+        columns: "windDir",
+        allowText: true,
+        format: "columnar",
+      }),
+      /only supports numeric columns/,
+    );
+  });
+
+  it("should derive rainfall intervals", async () => {
+    const datasets = await getTimeSeriesForColumns({
+      columns: ["tempC", "rainIntervalMM"],
+      dayStarts: [-1],
+    });
+    const rain = datasets.rainIntervalMM[-1].series.a;
+    assert.strictEqual(rain.length, datasets.tempC[-1].series.a.length);
+    // Nothing new except the whole 1mm after each 9am reset
+    assert.deepStrictEqual(
+      rain.filter(([, value]) => value !== 0).map(([, value]) => value),
+      [1],
+    );
+  });
+
+  it("should sum the since-9am total as rain intervals", async () => {
+    const [accumulator, intervals] = await Promise.all(
+      ["precipitationSince9amMM", "rainIntervalMM"].map((column) =>
+        getTimeSeriesForColumn({
+          column,
+          dayStart: -1,
+          aggregate: { bucket: "day", stat: "sum" },
+        }),
+      ),
+    );
+    assert.deepStrictEqual(accumulator.series, intervals.series);
+    // 1mm at every 9am (UTC) reset, and no rain between
+    assert.deepStrictEqual(accumulator.series.a, [[0, 1]]);
+  });
+
+  it("should generate converted units like a stored column", async () => {
+    const celsius = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: -1,
+    });
+    const fahrenheit = await getTimeSeriesForColumn({
+      column: "tempF",
+      dayStart: -1,
+    });
+    assert.deepStrictEqual(
+      fahrenheit.series.a,
+      celsius.series.a.map(([x, tempC]) => [
+        x,
+        Math.round((tempC * 1.8 + 32) * 100) / 100,
+      ]),
+    );
+  });
+
+  it("should aggregate a day into hourly buckets", async () => {
+    const hourly = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: -1,
+      aggregate: { bucket: "hour", stat: "max" },
+    });
+    assert.deepStrictEqual(hourly.aggregate, { bucket: "hour", stat: "max" });
+    assert.ok(hourly.series.a.length >= 24 && hourly.series.a.length <= 25);
+    assert.ok(hourly.series.a.every(([x]) => x % 60 === 0));
+  });
+
+  it("should list the locations with data in locations.json", async () => {
+    const outputDir = path.join(tempAssetsDir, "locations");
+    await generateDatasets({
+      columns: "tempC,relativeHumidityPct,rainHour",
+      days: "1",
+      outputDir,
+      geojsonPath: tempGeojsonPath,
+    });
+    assert.deepStrictEqual(
+      JSON.parse(
+        await fs.readFile(path.join(outputDir, "locations.json"), "utf8"),
+      ),
+      [
+        {
+          id: "a",
+          name: "A",
+          lat: 0,
+          lon: 0,
+          state: null,
+          columns: ["tempC", "relativeHumidityPct"],
+        },
+      ],
+    );
+  });
+
+  it("should roll stations up into regions", async () => {
+    const regionsPath = path.join(tempAssetsDir, "regions.geo.json");
+    await fs.mkdir(tempAssetsDir, { recursive: true });
+    await fs.writeFile(
+      regionsPath,
+      JSON.stringify({
+        type: "FeatureCollection",
+        features: [
+          {
+            type: "Feature",
+            properties: { name: "Null Island" },
+            geometry: {
+              type: "Polygon",
+              coordinates: [
+                [
+                  [-1, -1],
+                  [1, -1],
+                  [1, 1],
+                  [-1, 1],
+                  [-1, -1],
+                ],
+              ],
+            },
+          },
+        ],
+      }),
+    );
+
+    const rollup = await getRollupForColumn({
+      column: "tempC",
+      dayStart: -1,
+      by: regionsPath,
+      stat: "max",
+      interval: 60,
+      geojsonPath: tempGeojsonPath,
+    });
+    const single = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: -1,
+    });
+    assert.deepStrictEqual(rollup.rollup, {
+      by: "regions.geo.json",
+      stat: "max",
+      interval: 60,
+    });
+    assert.deepStrictEqual(rollup.stations, { "Null Island": 1 });
+    assert.strictEqual(rollup.startDate, single.startDate);
+    // One station, so each step is its last reading in the hour
+    assert.deepStrictEqual(
+      rollup.series["Null Island"].map(([x]) => x),
+      [...new Set(single.series.a.map(([x]) => Math.floor(x / 60) * 60))],
+    );
+  });
+
+  it("should exclude or annotate values that fail QC", async () => {
+    // Humidity has been 50% for three days, so it's flagged as stuck from a
+    // day after the first reading
+    const plain = await getTimeSeriesForColumn({
+      column: "relativeHumidityPct",
+      dayStart: -1,
+    });
+    const excluded = await getTimeSeriesForColumn({
+      column: "relativeHumidityPct",
+      dayStart: -1,
+      qc: "exclude",
+    });
+    const annotated = await getTimeSeriesForColumn({
+      column: "relativeHumidityPct",
+      dayStart: -1,
+      qc: "annotate",
+    });
+    assert.strictEqual(plain.series.a.length, 24);
+    assert.strictEqual(excluded.qc, "exclude");
+    assert.deepStrictEqual(excluded.series, {});
+    assert.deepStrictEqual(annotated.series, plain.series);
+    assert.deepStrictEqual(
+      annotated.flags.a,
+      plain.series.a.map(([x]) => [x, ["flatline"]]),
+    );
+
+    // Temperatures vary, so nothing is flagged
+    const temps = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: -1,
+      qc: "annotate",
+    });
+    assert.deepStrictEqual(temps.flags, {});
+    await assert.rejects(
+      getTimeSeriesForColumn({ column: "tempC", qc: "drop" }),
+      /Invalid QC mode/,
+    );
+  });
+
+  it("should run QC on derived columns through their sources", async () => {
+    const plain = await getTimeSeriesForColumn({
+      column: "rainIntervalMM",
+      dayStart: -1,
+    });
+    const annotated = await getTimeSeriesForColumn({
+      column: "rainIntervalMM",
+      dayStart: -1,
+      qc: "annotate",
+    });
+    const excluded = await getTimeSeriesForColumn({
+      column: "rainIntervalMM",
+      dayStart: -1,
+      qc: "exclude",
+    });
+    assert.ok(plain.series.a.length > 0);
+    assert.deepStrictEqual(annotated.series, plain.series);
+    assert.deepStrictEqual(annotated.flags, {});
+    assert.deepStrictEqual(excluded.series, plain.series);
+  });
+
+  it("should flag converted units wherever their sources are", async () => {
+    const datasets = await getTimeSeriesForColumns({
+      columns: ["tempF", "vpdKPa"],
+      dayStarts: [-1],
+      qc: "annotate",
+    });
+    const plain = await getTimeSeriesForColumns({
+      columns: ["tempF", "vpdKPa"],
+      dayStarts: [-1],
+    });
+    const tempF = datasets.tempF[-1];
+    const vpdKPa = datasets.vpdKPa[-1];
+    assert.deepStrictEqual(tempF.series, plain.tempF[-1].series);
+    assert.deepStrictEqual(tempF.flags, {});
+    // Humidity has flat-lined, so every deficit computed from it is flagged
+    assert.deepStrictEqual(
+      vpdKPa.flags.a,
+      vpdKPa.series.a.map(([x]) => [x, ["flatline"]]),
+    );
+
+    const excluded = await getTimeSeriesForColumn({
+      column: "vpdKPa",
+      dayStart: -1,
+      qc: "exclude",
+    });
+    assert.deepStrictEqual(excluded.series, {});
+  });
+
+  it("should compare values with the climatology", async () => {
+    const plain = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: -1,
+    });
+    await buildClimatology({ columns: ["tempC"], window: 1, minCount: 1 });
+    const departures = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: -1,
+      anomaly: "departure",
+    });
+    const percentiles = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: -1,
+      anomaly: "percentile",
+    });
+    assert.strictEqual(departures.anomaly, "departure");
+
+    // Every reading is in its own baseline
+    const db = await initializeDatabase();
+    const baselines = db
+      .prepare("SELECT * FROM climatology WHERE auroraId = 'a'")
+      .all();
+    assert.ok(baselines.length > 0);
+    assert.strictEqual(departures.series.a.length, plain.series.a.length);
+    const means = departures.series.a.map(
+      (_, i) => plain.series.a[i][1] - departures.series.a[i][1],
+    );
+    for (const mean of means) {
+      assert.ok(
+        baselines.some((baseline) => Math.abs(baseline.mean - mean) < 0.01),
+      );
+    }
+    for (const [, value] of percentiles.series.a) {
+      assert.ok(value >= 0 && value <= 100);
+    }
+
+    // Too few readings for any baseline
+    await buildClimatology({ columns: ["tempC"], window: 1, minCount: 1000 });
+    const none = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: -1,
+      anomaly: "departure",
+    });
+    assert.deepStrictEqual(none.series, {});
+    await assert.rejects(
+      getTimeSeriesForColumn({ column: "tempC", anomaly: "zscore" }),
+      /Invalid anomaly mode/,
+    );
+  });
+
+  it("should interpolate a grid with one frame per step", async () => {
+    const grid = await getGridForColumn({
+      column: "tempC",
+      dayStart: -1,
+      bbox: [-1, -1, 1, 1],
+      resolution: 1,
+      step: 60,
+      geojsonPath: tempGeojsonPath,
+    });
+    const single = await getTimeSeriesForColumn({
+      column: "tempC",
+      dayStart: -1,
+    });
+    assert.strictEqual(grid.startDate, single.startDate);
+    assert.strictEqual(grid.frames.length, 24);
+    // One station, so every cell is its last reading in the hour
+    const [x, values] = grid.frames[0];
+    const last = single.series.a.filter(([minute]) => minute < 60).at(-1)[1];
+    assert.strictEqual(x, 0);
+    assert.deepStrictEqual(
+      values,
+      [1, 1, 1, 1].map(() => last * 10),
+    );
+  });
+
+  it("should find the latest reading of each column", async () => {
+    const latest = await getLatest({
+      columns: ["tempC", "relativeHumidityPct", "rainIntervalMM"],
+    });
+    const { a } = latest.locations;
+    assert.deepStrictEqual(Object.keys(a), [
+      "tempC",
+      "relativeHumidityPct",
+      "rainIntervalMM",
+    ]);
+    // The newest row has i = 0
+    assert.strictEqual(a.tempC.value, 20);
+    assert.strictEqual(a.relativeHumidityPct.value, 50);
+    assert.strictEqual(a.tempC.time, a.relativeHumidityPct.time);
+    assert.strictEqual(a.tempC.stale, false);
+    assert.strictEqual(latest.staleAfterMinutes, 90);
+
+    const later = await getLatest({
+      columns: ["tempC"],
+      now: new Date(Date.now() + 2 * 60 * 60 * 1000),
+    });
+    assert.strictEqual(later.locations.a.tempC.stale, true);
+  });
+
+  it("should skip files whose data hasn't changed", async () => {
+    // Two days of tempC, locations.json, latest.json and records.json
+    const outputDir = path.join(tempAssetsDir, "skip");
+    const options = {
+      columns: "tempC",
+      days: "2",
+      outputDir,
+      geojsonPath: tempGeojsonPath,
+    };
+    assert.deepStrictEqual(await generateDatasets(options), {
+      written: 5,
+      skipped: 0,
+    });
+    assert.deepStrictEqual(await generateDatasets(options), {
+      written: 0,
+      skipped: 5,
+    });
+    assert.deepStrictEqual(
+      await generateDatasets({ ...options, force: true }),
+      { written: 5, skipped: 0 },
+    );
+    await fs.access(path.join(outputDir, "records.json"));
+
+    const manifest = JSON.parse(
+      await fs.readFile(path.join(outputDir, "manifest.json"), "utf8"),
+    );
+    const [key] = Object.keys(manifest);
+    const file = JSON.parse(
+      await fs.readFile(path.join(outputDir, key), "utf8"),
+    );
+    assert.strictEqual(manifest[key].hash, hashDataset(file));
+  });
+});
@@ -0,0 +1,117 @@
+import assert from "node:assert";
+import {
+  backoffDelay,
+  graphqlQuery,
+  GraphqlError,
+  withRetry,
+} from "../src/graphql.js";
+
+const fastRetries = { retries: 2, minDelay: 1, maxDelay: 2 };
+
+describe("graphql", () => {
+  describe("backoffDelay", () => {
+    it("should stay within the exponential cap", () => {
+      for (let attempt = 0; attempt < 10; attempt++) {
+        const delay = backoffDelay(attempt, { minDelay: 100, maxDelay: 1000 });
+        assert.ok(delay >= 0);
+        assert.ok(delay <= Math.min(1000, 100 * 2 ** attempt));
+      }
+    });
+  });
+
+  describe("withRetry", () => {
+    it("should retry until the function succeeds", async () => {
+      const attempts = [];
+      const result = await withRetry(async (attempt) => {
+        attempts.push(attempt);
+        if (attempt < 2) throw new Error("flaky");
+        return "ok";
+      }, fastRetries);
+      assert.strictEqual(result, "ok");
+      assert.deepStrictEqual(attempts, [0, 1, 2]);
+    });
+
+    it("should give up after the configured number of retries", async () => {
+      const retried = [];
+      await assert.rejects(
+        withRetry(
+          async () => {
+            throw new Error("down");
+          },
+          { ...fastRetries, onRetry: (e, attempt) => retried.push(attempt) },
+        ),
+        /down/,
+      );
+      assert.deepStrictEqual(retried, [1, 2]);
+    });
+
+    it("should not retry errors marked as not retryable", async () => {
+      let calls = 0;
+      await assert.rejects(
+        withRetry(async () => {
+          calls++;
+          throw new GraphqlError("HTTP 403", { retryable: false });
+        }, fastRetries),
+        /HTTP 403/,
+      );
+      assert.strictEqual(calls, 1);
+    });
+  });
+
+  describe("graphqlQuery", () => {
+    const originalFetch = globalThis.fetch;
+    let responses;
+
+    beforeEach(() => {
+      responses = [];
+      globalThis.fetch = async () => {
+        const next = responses.shift();
+        if (next instanceof Error) throw next;
+        return new Response(JSON.stringify(next.body), {
+          status: next.status,
+        });
+      };
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    it("should retry 5xx, network and GraphQL errors", async () => {
+      responses = [
+        { status: 502, body: {} },
+        new TypeError("fetch failed"),
+        { status: 200, body: { errors: [{ message: "Upstream timeout" }] } },
+        { status: 200, body: { data: { ok: true } } },
+      ];
+      const res = await graphqlQuery("{ ok }", { ...fastRetries, retries: 3 });
+      assert.deepStrictEqual(res, { data: { ok: true } });
+    });
+
+    it("should not retry client errors", async () => {
+      responses = [
+        { status: 400, body: {} },
+        { status: 200, body: { data: { ok: true } } },
+      ];
+      await assert.rejects(graphqlQuery("{ ok }", fastRetries), (e) => {
+        assert.strictEqual(e.status, 400);
+        assert.strictEqual(e.retryable, false);
+        return true;
+      });
+      assert.strictEqual(responses.length, 1);
+    });
+
+    it("should return partial data with errors when asked", async () => {
+      const body = {
+        data: { locations: { a1: { ok: true }, a2: null } },
+        errors: [{ message: "Not found", path: ["locations", "a2"] }],
+      };
+      responses = [{ status: 200, body }];
+      const res = await graphqlQuery("{ ok }", {
+        ...fastRetries,
+        partial: true,
+      });
+      assert.deepStrictEqual(res, body);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import assert from "node:assert";
+import {
+  cellWeights,
+  createGrid,
+  gridDataset,
+  interpolate,
+  valuesByStep,
+} from "../src/grid.js";
+
+describe("grid", () => {
+  // Two stations 2° apart on the equator, with a cell centred on each and one
+  // halfway between them
+  const stations = [
+    { auroraId: "a", longitude: 0.5, latitude: 0.5 },
+    { auroraId: "b", longitude: 2.5, latitude: 0.5 },
+  ];
+  const bbox = [0, 0, 3, 1];
+  const options = { power: 2, maxDistance: 1000 };
+
+  describe("createGrid", () => {
+    it("should lay out cell centres from the north-west corner", () => {
+      const grid = createGrid([0, -1, 2, 0], 1);
+      assert.strictEqual(grid.cols, 2);
+      assert.strictEqual(grid.rows, 1);
+      assert.deepStrictEqual(grid.cells, [
+        [0.5, -0.5],
+        [1.5, -0.5],
+      ]);
+    });
+
+    it("should reject an empty bbox", () => {
+      assert.throws(() => createGrid([1, 0, 0, 1], 1), /Invalid grid/);
+    });
+  });
+
+  describe("interpolate", () => {
+    const weights = cellWeights(createGrid(bbox, 1), stations, options);
+
+    it("should use a station's own value on its cell", () => {
+      const values = new Map([
+        ["a", 10],
+        ["b", 20],
+      ]);
+      const [first, , last] = interpolate(weights, values);
+      assert.strictEqual(first, 10);
+      assert.strictEqual(last, 20);
+    });
+
+    it("should weight equally distant stations equally", () => {
+      const values = new Map([
+        ["a", 10],
+        ["b", 20],
+      ]);
+      assert.ok(Math.abs(interpolate(weights, values)[1] - 15) < 1e-9);
+    });
+
+    it("should weight nearer stations more", () => {
+      // Centred on [1, 0.5], 0.5° from a and 1.5° from b
+      const grid = createGrid([0.5, 0, 1.5, 1], 1);
+      const [nearA] = interpolate(
+        cellWeights(grid, stations, options),
+        new Map([
+          ["a", 10],
+          ["b", 20],
+        ]),
+      );
+      assert.ok(nearA > 10 && nearA < 15);
+    });
+
+    it("should skip stations with no value in the step", () => {
+      assert.deepStrictEqual(
+        interpolate(weights, new Map([["a", 10]])),
+        [10, 10, 10],
+      );
+    });
+
+    it("should leave cells with no station in range empty", () => {
+      const near = cellWeights(createGrid(bbox, 1), stations, {
+        ...options,
+        maxDistance: 50,
+      });
+      assert.deepStrictEqual(
+        interpolate(
+          near,
+          new Map([
+            ["a", 10],
+            ["b", 20],
+          ]),
+        ),
+        [10, null, 20],
+      );
+    });
+
+    it("should leave cells outside the mask empty", () => {
+      const mask = [
+        {
+          type: "Feature",
+          properties: {},
+          geometry: {
+            type: "Polygon",
+            coordinates: [
+              [
+                [0, 0],
+                [2, 0],
+                [2, 1],
+                [0, 1],
+                [0, 0],
+              ],
+            ],
+          },
+        },
+      ];
+      const masked = cellWeights(createGrid(bbox, 1), stations, {
+        ...options,
+        mask,
+      });
+      assert.deepStrictEqual(
+        interpolate(
+          masked,
+          new Map([
+            ["a", 10],
+            ["b", 10],
+          ]),
+        ),
+        [10, 10, null],
+      );
+    });
+  });
+
+  describe("valuesByStep", () => {
+    it("should take each station's last value in each step", () => {
+      const steps = valuesByStep(
+        {
+          a: [
+            [0, 1],
+            [30, 2],
+            [60, 3],
+          ],
+          b: [[45, 4]],
+        },
+        60,
+      );
+      assert.deepStrictEqual(
+        steps,
+        new Map([
+          [
+            0,
+            new Map([
+              ["a", 2],
+              ["b", 4],
+            ]),
+          ],
+          [60, new Map([["a", 3]])],
+        ]),
+      );
+    });
+  });
+
+  describe("gridDataset", () => {
+    it("should replace the series with quantised frames", () => {
+      const grid = gridDataset(
+        {
+          updatedDate: "2026-01-13T12:00:00+10:00",
+          startDate: "2026-01-13T00:00:00+10:00",
+          timeZone: "Australia/Brisbane",
+          series: {
+            a: [[0, 10.04]],
+            b: [[10, 20.01]],
+          },
+        },
+        stations,
+        { ...options, bbox, resolution: 1, precision: 1 },
+      );
+      assert.strictEqual(grid.series, undefined);
+      assert.strictEqual(grid.startDate, "2026-01-13T00:00:00+10:00");
+      assert.deepStrictEqual(grid.grid, {
+        west: 0,
+        north: 1,
+        resolution: 1,
+        cols: 3,
+        rows: 1,
+      });
+      assert.strictEqual(grid.step, 60);
+      assert.strictEqual(grid.precision, 1);
+      assert.deepStrictEqual(grid.frames, [[0, [100, 150, 200]]]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert";
+import {
+  readLocations,
+  selectLocations,
+  stateForBomId,
+} from "../src/locations.js";
+
+describe("locations", () => {
+  describe("stateForBomId", () => {
+    it("should infer the state from the BoM district", () => {
+      assert.strictEqual(stateForBomId("001019"), "WA");
+      assert.strictEqual(stateForBomId("014015"), "NT");
+      assert.strictEqual(stateForBomId("023090"), "SA");
+      assert.strictEqual(stateForBomId("040043"), "QLD");
+      assert.strictEqual(stateForBomId("066214"), "NSW");
+      assert.strictEqual(stateForBomId("086338"), "VIC");
+      assert.strictEqual(stateForBomId("094029"), "TAS");
+      assert.strictEqual(stateForBomId("109504"), "WA");
+      assert.strictEqual(stateForBomId("200288"), null);
+      assert.strictEqual(stateForBomId(undefined), null);
+    });
+  });
+
+  describe("readLocations", () => {
+    it("should read every Aurora location from au.geo.json", async () => {
+      const locations = await readLocations();
+      assert.ok(locations.length > 400);
+      const kalumburu = locations.find(
+        (location) => location.auroraId === "locc3c65a9075db",
+      );
+      assert.deepStrictEqual(kalumburu, {
+        auroraId: "locc3c65a9075db",
+        name: "Kalumburu",
+        bomId: "001019",
+        state: "WA",
+        longitude: 126.6453,
+        latitude: -14.2964,
+      });
+    });
+  });
+
+  describe("selectLocations", () => {
+    const locations = [
+      { auroraId: "a", name: "Brisbane", state: "QLD" },
+      { auroraId: "b", name: "Cairns Aero", state: "QLD" },
+      { auroraId: "c", name: "Perth", state: "WA" },
+    ];
+
+    it("should match by ID, state or name", () => {
+      assert.deepStrictEqual(
+        selectLocations(locations, ["qld"]).map(({ auroraId }) => auroraId),
+        ["a", "b"],
+      );
+      assert.deepStrictEqual(
+        selectLocations(locations, ["c", " cairns aero"]).map(
+          ({ auroraId }) => auroraId,
+        ),
+        ["b", "c"],
+      );
+    });
+
+    it("should reject selectors that match nothing", () => {
+      assert.throws(
+        () => selectLocations(locations, ["Sydney"]),
+        /No locations match "Sydney"/,
+      );
+    });
+  });
+});
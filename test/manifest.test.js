@@ -0,0 +1,40 @@
+import assert from "node:assert";
+import { hashDataset } from "../src/manifest.js";
+import { selectChangedFiles } from "../src/upload-s3.mjs";
+
+describe("manifest", () => {
+  describe("hashDataset", () => {
+    it("should ignore updatedDate", () => {
+      const data = {
+        startDate: "2026-01-21T00:00:00+10:00",
+        series: { a: [[0, 20]] },
+      };
+      assert.strictEqual(
+        hashDataset({ updatedDate: "2026-01-21T10:00:00+10:00", ...data }),
+        hashDataset({ updatedDate: "2026-01-22T10:00:00+10:00", ...data }),
+      );
+      assert.notStrictEqual(
+        hashDataset(data),
+        hashDataset({ ...data, series: { a: [[0, 21]] } }),
+      );
+    });
+  });
+
+  describe("selectChangedFiles", () => {
+    it("should only keep files that differ from the last upload", () => {
+      const actions = [
+        { remote: "dest/assets/tempC/2026-01-20.json", hash: "same" },
+        { remote: "dest/assets/tempC/2026-01-21.json", hash: "new" },
+        { remote: "dest/assets/tempC/2026-01-22.json", hash: "first" },
+      ];
+      const uploadManifest = {
+        "dest/assets/tempC/2026-01-20.json": "same",
+        "dest/assets/tempC/2026-01-21.json": "old",
+      };
+      assert.deepStrictEqual(
+        selectChangedFiles(actions, uploadManifest).map((a) => a.hash),
+        ["new", "first"],
+      );
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  apparentTemperature,
+  celsiusToFahrenheit,
+  fahrenheitToCelsius,
+  heatIndex,
+  kmhToMs,
+  saturationVapourPressure,
+  vapourPressureDeficit,
+  windComponents,
+} from "../src/meteorology.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const assertClose = (actual, expected, tolerance, message) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${message ?? ""} expected ${expected} ± ${tolerance}, got ${actual}`,
+  );
+
+describe("meteorology", () => {
+  it("should convert units", () => {
+    assert.strictEqual(celsiusToFahrenheit(0), 32);
+    assert.strictEqual(celsiusToFahrenheit(100), 212);
+    assert.strictEqual(celsiusToFahrenheit(-40), -40);
+    assert.strictEqual(fahrenheitToCelsius(212), 100);
+    assert.strictEqual(kmhToMs(36), 10);
+  });
+
+  it("should match the FAO-56 saturation vapour pressure table", () => {
+    // FAO Irrigation and Drainage Paper 56, Annex 2, Table 2.3
+    assertClose(saturationVapourPressure(1), 0.657, 0.001);
+    assertClose(saturationVapourPressure(25), 3.168, 0.001);
+    assertClose(saturationVapourPressure(35), 5.623, 0.001);
+  });
+
+  it("should compute the vapour pressure deficit", () => {
+    assertClose(vapourPressureDeficit(25, 50), 1.584, 0.001);
+    assert.strictEqual(vapourPressureDeficit(25, 100), 0);
+  });
+
+  it("should match the NWS heat index chart", () => {
+    // [°F, RH %, heat index °F] from the NWS heat index chart
+    const chart = [
+      [80, 40, 80],
+      [90, 50, 95],
+      [86, 90, 105],
+      [100, 40, 109],
+      [96, 65, 121],
+    ];
+    for (const [temp, humidity, expected] of chart) {
+      assertClose(
+        celsiusToFahrenheit(heatIndex(fahrenheitToCelsius(temp), humidity)),
+        expected,
+        0.7,
+        `${temp}°F at ${humidity}%:`,
+      );
+    }
+  });
+
+  it("should reproduce Aurora's feels-like temperature", async () => {
+    const fixtures = path.resolve(__dirname, "aurora-observations");
+    let compared = 0;
+    for (const file of await fs.readdir(fixtures)) {
+      const res = JSON.parse(
+        await fs.readFile(path.join(fixtures, file), "utf8"),
+      );
+      const values =
+        res.data?.locations?.byId?.weather?.detailedHistoricConditions?.[0]
+          ?.values ?? [];
+      for (const value of values) {
+        const { tempC, relativeHumidityPct, averageWindSpeedKm } = value;
+        if (
+          [tempC, relativeHumidityPct, averageWindSpeedKm].includes(null) ||
+          value.feelsLikeTempC === null
+        ) {
+          continue;
+        }
+        // Aurora works from unrounded wind speeds
+        assertClose(
+          apparentTemperature(
+            tempC,
+            relativeHumidityPct,
+            kmhToMs(averageWindSpeedKm),
+          ),
+          value.feelsLikeTempC,
+          0.5,
+          `${file} at ${value.generationTime}:`,
+        );
+        compared++;
+      }
+    }
+    assert.ok(compared > 100);
+  });
+
+  it("should split wind into components by where it blows from", () => {
+    const cases = [
+      [0, 0, -10],
+      [90, -10, 0],
+      [180, 0, 10],
+      [225, 7.071, 7.071],
+    ];
+    for (const [direction, u, v] of cases) {
+      const components = windComponents(10, direction);
+      assertClose(components.u, u, 0.001, `u from ${direction}°:`);
+      assertClose(components.v, v, 0.001, `v from ${direction}°:`);
+    }
+  });
+});
@@ -0,0 +1,252 @@
+import assert from "node:assert";
+import { DatabaseSync } from "node:sqlite";
+import { createWeatherData } from "../src/migrations/01-create-weather_data.js";
+import { updateColumns } from "../src/migrations/02-update-columns.js";
+import { up as addGenerationEpoch } from "../src/migrations/06-add-generation-epoch.js";
+import { up as normaliseTextColumns } from "../src/migrations/07-normalise-text-columns.js";
+import { up as indexLocationEpoch } from "../src/migrations/10-index-location-epoch.js";
+import {
+  discoverMigrations,
+  getMigrationStatus,
+  runMigrations,
+} from "../src/migrations/runner.js";
+
+describe("migrations runner", () => {
+  let db;
+
+  beforeEach(() => {
+    db = new DatabaseSync(":memory:");
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const tableNames = () =>
+    db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table'")
+      .all()
+      .map((row) => row.name);
+
+  it("should discover migrations in file name order", async () => {
+    const migrations = await discoverMigrations();
+    const names = migrations.map((m) => m.name);
+    assert.deepStrictEqual(names, [...names].sort());
+    assert.strictEqual(names[0], "00-create-aurora_map");
+    assert.ok(!names.includes("runner"));
+    assert.ok(
+      migrations.find((m) => m.name === "02-update-columns").repeatable,
+    );
+  });
+
+  it("should apply each migration once and record it", async () => {
+    const migrations = [
+      {
+        name: "01-first",
+        up: (db) => db.exec("CREATE TABLE first (id INTEGER) STRICT"),
+      },
+      {
+        name: "02-sync",
+        repeatable: true,
+        up: () => {},
+      },
+    ];
+    assert.deepStrictEqual(await runMigrations(db, { migrations }), [
+      "01-first",
+      "02-sync",
+    ]);
+    assert.ok(tableNames().includes("first"));
+    assert.deepStrictEqual(await runMigrations(db, { migrations }), [
+      "02-sync",
+    ]);
+
+    const status = await getMigrationStatus(db, migrations);
+    assert.ok(status.every((migration) => migration.appliedAt));
+  });
+
+  it("should not apply anything in a dry run", async () => {
+    const migrations = [
+      {
+        name: "01-first",
+        up: (db) => db.exec("CREATE TABLE first (id INTEGER) STRICT"),
+      },
+    ];
+    assert.deepStrictEqual(
+      await runMigrations(db, { migrations, dryRun: true }),
+      ["01-first"],
+    );
+    assert.ok(!tableNames().includes("first"));
+    const [status] = await getMigrationStatus(db, migrations);
+    assert.strictEqual(status.appliedAt, null);
+  });
+
+  it("should roll back a failed migration", async () => {
+    const migrations = [
+      {
+        name: "01-broken",
+        up: (db) => {
+          db.exec("CREATE TABLE broken (id INTEGER) STRICT");
+          throw new Error("Halfway");
+        },
+      },
+    ];
+    await assert.rejects(
+      runMigrations(db, { migrations }),
+      /Migration 01-broken failed: Halfway/,
+    );
+    assert.ok(!tableNames().includes("broken"));
+    const [status] = await getMigrationStatus(db, migrations);
+    assert.strictEqual(status.appliedAt, null);
+  });
+});
+
+describe("02-update-columns", () => {
+  let db;
+
+  const columnNames = () =>
+    db
+      .prepare("PRAGMA table_info(weather_data)")
+      .all()
+      .map((column) => column.name);
+
+  beforeEach(() => {
+    db = new DatabaseSync(":memory:");
+    createWeatherData(db);
+    db.exec("ALTER TABLE weather_data DROP COLUMN windGustSpdKnots");
+    db.exec("ALTER TABLE weather_data ADD COLUMN legacyReading REAL");
+    db.prepare(
+      "INSERT INTO weather_data (auroraId, fetchTime, generationTime, tempC, legacyReading) VALUES (?, ?, ?, ?, ?)",
+    ).run("a", "2026-01-21T00:00:00Z", "2026-01-21T10:00:00+10:00", 20, 1.5);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it("should add missing columns without touching existing rows", () => {
+    updateColumns(db);
+    assert.ok(columnNames().includes("windGustSpdKnots"));
+    const row = db.prepare("SELECT * FROM weather_data").get();
+    assert.strictEqual(row.tempC, 20);
+    assert.strictEqual(row.windGustSpdKnots, null);
+  });
+
+  it("should refuse to drop removed columns by default", () => {
+    const result = updateColumns(db);
+    assert.strictEqual(result, undefined);
+    assert.ok(columnNames().includes("legacyReading"));
+  });
+
+  it("should archive removed columns before dropping them", () => {
+    const result = updateColumns(db, { allowDrop: true });
+    assert.deepStrictEqual(result, { vacuum: true });
+    assert.ok(!columnNames().includes("legacyReading"));
+
+    const archived = db
+      .prepare(
+        "SELECT auroraId, generationTime, columnName, value FROM weather_data_archive",
+      )
+      .all()
+      .map((row) => ({ ...row }));
+    assert.deepStrictEqual(archived, [
+      {
+        auroraId: "a",
+        generationTime: "2026-01-21T10:00:00+10:00",
+        columnName: "legacyReading",
+        value: 1.5,
+      },
+    ]);
+  });
+});
+
+describe("06-add-generation-epoch", () => {
+  it("should fill in generationEpoch for existing rows", () => {
+    const db = new DatabaseSync(":memory:");
+    createWeatherData(db);
+    db.prepare(
+      "INSERT INTO weather_data (auroraId, fetchTime, generationTime) VALUES (?, ?, ?)",
+    ).run("a", "2026-01-21T00:00:00Z", "2026-01-21T11:41:03+11:00");
+
+    addGenerationEpoch(db);
+
+    const { generationEpoch } = db
+      .prepare("SELECT generationEpoch FROM weather_data")
+      .get();
+    assert.strictEqual(
+      generationEpoch,
+      new Date("2026-01-21T11:41:03+11:00").getTime() / 1000,
+    );
+    db.close();
+  });
+});
+
+describe("07-normalise-text-columns", () => {
+  it("should convert cloudOktas to numbers and fill in missing values", () => {
+    const db = new DatabaseSync(":memory:");
+    // The relevant columns as they were before the migration
+    db.exec(`
+CREATE TABLE weather_data (
+  auroraId TEXT NOT NULL,
+  fetchTime TEXT NOT NULL,
+  cloud TEXT,
+  cloudOktas text,
+  windDir TEXT,
+  windDirDeg REAL
+) STRICT;`);
+    const insert = db.prepare(
+      "INSERT INTO weather_data VALUES ('a', ?, ?, ?, ?, ?)",
+    );
+    insert.run("1", "Partly cloudy", "5", "N", 2);
+    insert.run("2", "Mostly clear", null, "WSW", null);
+    insert.run("3", null, "n/a", "CALM", null);
+    insert.run("4", null, "5.5.5", null, null);
+    insert.run("5", null, "5.", null, null);
+    insert.run("6", null, " 2.5 ", null, null);
+
+    assert.deepStrictEqual(normaliseTextColumns(db), { vacuum: true });
+
+    const column = db
+      .prepare("PRAGMA table_info(weather_data)")
+      .all()
+      .find((column) => column.name === "cloudOktas");
+    assert.strictEqual(column.type, "REAL");
+    const rows = db
+      .prepare(
+        "SELECT cloudOktas, windDirDeg FROM weather_data ORDER BY fetchTime",
+      )
+      .all()
+      .map((row) => ({ ...row }));
+    assert.deepStrictEqual(rows, [
+      { cloudOktas: 5, windDirDeg: 2 },
+      { cloudOktas: 1.5, windDirDeg: 247.5 },
+      { cloudOktas: null, windDirDeg: null },
+      { cloudOktas: null, windDirDeg: null },
+      { cloudOktas: null, windDirDeg: null },
+      { cloudOktas: 2.5, windDirDeg: null },
+    ]);
+
+    // Already converted, so only the fills run
+    assert.deepStrictEqual(normaliseTextColumns(db), { vacuum: false });
+    db.close();
+  });
+});
+
+describe("10-index-location-epoch", () => {
+  it("should index a location's observations by generationEpoch", () => {
+    const db = new DatabaseSync(":memory:");
+    createWeatherData(db);
+    addGenerationEpoch(db);
+    indexLocationEpoch(db);
+
+    const plan = db
+      .prepare(
+        `EXPLAIN QUERY PLAN SELECT * FROM weather_data
+        WHERE auroraId = ? AND generationEpoch BETWEEN ? AND ?`,
+      )
+      .all("a", 0, 1)
+      .map((row) => row.detail)
+      .join("\n");
+    assert.match(plan, /USING INDEX idx_location_epoch/);
+    db.close();
+  });
+});
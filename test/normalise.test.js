@@ -0,0 +1,79 @@
+import assert from "node:assert";
+import {
+  CLOUD_OKTAS,
+  COMPASS_DEGREES,
+  normaliseObservation,
+  toNumber,
+} from "../src/normalise.js";
+
+describe("normalise", () => {
+  it("should convert numeric strings", () => {
+    assert.strictEqual(toNumber("5"), 5);
+    assert.strictEqual(toNumber(" 2.5 "), 2.5);
+    assert.strictEqual(toNumber(""), "");
+    assert.strictEqual(toNumber("CALM"), "CALM");
+    assert.strictEqual(toNumber(null), null);
+  });
+
+  it("should convert numeric strings in numeric columns only", () => {
+    const normalised = normaliseObservation({
+      cloudOktas: "5",
+      tempC: "21.4",
+      windDir: "N",
+      windDirDeg: 1,
+      dayName: "7",
+    });
+    assert.strictEqual(normalised.cloudOktas, 5);
+    assert.strictEqual(normalised.tempC, 21.4);
+    assert.strictEqual(normalised.windDirDeg, 1);
+    assert.strictEqual(normalised.dayName, "7");
+  });
+
+  it("should drop strings in numeric columns that aren't numbers", () => {
+    const normalised = normaliseObservation({
+      cloud: "Cloudy",
+      cloudOktas: "-",
+      tempC: "",
+      pressure: "n/a",
+      windDir: "CALM",
+    });
+    // The description fills in the oktas it replaces
+    assert.strictEqual(normalised.cloudOktas, 8);
+    assert.strictEqual(normalised.tempC, null);
+    assert.strictEqual(normalised.pressure, null);
+    assert.strictEqual(normalised.windDir, "CALM");
+  });
+
+  it("should fill in a missing wind direction from the compass point", () => {
+    assert.strictEqual(COMPASS_DEGREES.N, 0);
+    assert.strictEqual(COMPASS_DEGREES.ESE, 112.5);
+    assert.strictEqual(COMPASS_DEGREES.NNW, 337.5);
+    assert.strictEqual(
+      normaliseObservation({ windDir: "SW", windDirDeg: null }).windDirDeg,
+      225,
+    );
+    // Calm has no direction
+    assert.strictEqual(
+      normaliseObservation({ windDir: "CALM", windDirDeg: null }).windDirDeg,
+      null,
+    );
+  });
+
+  it("should fill in missing oktas from the cloud description", () => {
+    for (const [cloud, oktas] of Object.entries(CLOUD_OKTAS)) {
+      assert.strictEqual(
+        normaliseObservation({ cloud, cloudOktas: null }).cloudOktas,
+        oktas,
+      );
+    }
+    assert.strictEqual(
+      normaliseObservation({ cloud: "Partly cloudy", cloudOktas: "3" })
+        .cloudOktas,
+      3,
+    );
+    assert.strictEqual(
+      normaliseObservation({ cloud: "Fog", cloudOktas: null }).cloudOktas,
+      null,
+    );
+  });
+});
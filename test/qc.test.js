@@ -0,0 +1,133 @@
+import assert from "node:assert";
+import {
+  checkObservations,
+  formatQcFlags,
+  getColumnFlags,
+  getQcColumns,
+  parseQcFlags,
+  validateQcMode,
+} from "../src/qc.js";
+
+describe("qc", () => {
+  const HOUR = 60 * 60;
+  /** One row per reading, `minutes` apart */
+  const observations = (column, values, minutes = 30) =>
+    values.map((value, i) => ({
+      auroraId: "a",
+      generationEpoch: i * minutes * 60,
+      [column]: value,
+    }));
+  const flagsOf = (rows, flags) => rows.map((row) => flags.get(row) ?? null);
+
+  it("should flag values outside the plausible range", () => {
+    const rows = observations("tempC", [25, 60, -30, null]);
+    assert.deepStrictEqual(flagsOf(rows, checkObservations(rows)), [
+      null,
+      { tempC: ["range"] },
+      { tempC: ["range"] },
+      null,
+    ]);
+  });
+
+  it("should flag a spike but not the reading after it", () => {
+    const rows = observations("tempC", [20, 21, 40, 22]);
+    assert.deepStrictEqual(flagsOf(rows, checkObservations(rows)), [
+      null,
+      null,
+      { tempC: ["step"] },
+      null,
+    ]);
+  });
+
+  it("should allow bigger steps over longer gaps", () => {
+    // 15°C in two hours is within 12°C an hour
+    const rows = observations("tempC", [20, 35], 120);
+    assert.strictEqual(checkObservations(rows).size, 0);
+  });
+
+  it("should not compare readings across a long gap", () => {
+    const rows = observations("tempC", [10, 45], 6 * 60);
+    assert.strictEqual(checkObservations(rows).size, 0);
+  });
+
+  it("should flag a value stuck for too long", () => {
+    // Hourly humidity of 80% for 30 hours
+    const rows = observations("relativeHumidityPct", Array(31).fill(80), 60);
+    const flags = checkObservations(rows);
+    assert.strictEqual(flags.has(rows[23]), false);
+    assert.deepStrictEqual(flags.get(rows[24]), {
+      relativeHumidityPct: ["flatline"],
+    });
+    assert.strictEqual(flags.size, 7);
+  });
+
+  it("should restart the flat-line run after a change or a gap", () => {
+    const rows = [
+      ...observations("tempC", Array(13).fill(20), 60),
+      { auroraId: "a", generationEpoch: 13 * HOUR, tempC: 20.1 },
+      { auroraId: "a", generationEpoch: 18 * HOUR, tempC: 20.1 },
+    ];
+    const flags = checkObservations(rows);
+    assert.deepStrictEqual([...flags.keys()], [rows[12]]);
+  });
+
+  it("should flag a dew point above the temperature", () => {
+    const rows = [
+      { auroraId: "a", generationEpoch: 0, tempC: 20, dewPointC: 20.4 },
+      { auroraId: "a", generationEpoch: HOUR, tempC: 20, dewPointC: 22 },
+      { auroraId: "a", generationEpoch: 2 * HOUR, tempC: 70, dewPointC: 22 },
+    ];
+    assert.deepStrictEqual(flagsOf(rows, checkObservations(rows)), [
+      null,
+      { dewPointC: ["consistency"] },
+      // An impossible temperature says nothing about the dew point
+      { tempC: ["range"] },
+    ]);
+  });
+
+  it("should check each station separately and keep stored flags", () => {
+    const rows = [
+      { auroraId: "a", generationEpoch: 0, tempC: 20 },
+      { auroraId: "b", generationEpoch: 60, tempC: 35 },
+      {
+        auroraId: "a",
+        generationEpoch: 120,
+        tempC: 21,
+        qcFlags: formatQcFlags({ windDirDeg: ["range"] }),
+      },
+    ];
+    assert.deepStrictEqual(flagsOf(rows, checkObservations(rows)), [
+      null,
+      null,
+      { windDirDeg: ["range"] },
+    ]);
+  });
+
+  it("should round-trip flags through the qcFlags column", () => {
+    assert.strictEqual(formatQcFlags({}), null);
+    assert.strictEqual(formatQcFlags(undefined), null);
+    assert.deepStrictEqual(parseQcFlags(null), {});
+    assert.deepStrictEqual(
+      parseQcFlags(formatQcFlags({ tempC: ["range", "step"] })),
+      { tempC: ["range", "step"] },
+    );
+  });
+
+  it("should read the other side of consistency rules", () => {
+    assert.deepStrictEqual(getQcColumns(["dewPointC"]), ["dewPointC", "tempC"]);
+    assert.deepStrictEqual(getQcColumns(["tempC"]), ["tempC"]);
+  });
+
+  it("should give derived columns the flags of their sources", () => {
+    const flags = { tempC: ["range"], precipitationSince9amMM: ["range"] };
+    assert.deepStrictEqual(getColumnFlags(flags, "tempC"), ["range"]);
+    assert.deepStrictEqual(getColumnFlags(flags, "rainIntervalMM"), ["range"]);
+    assert.strictEqual(getColumnFlags(flags, "gustMs"), undefined);
+    assert.strictEqual(getColumnFlags(undefined, "tempC"), undefined);
+  });
+
+  it("should only accept known modes", () => {
+    assert.doesNotThrow(() => validateQcMode("exclude"));
+    assert.throws(() => validateQcMode("drop"), /Invalid QC mode "drop"/);
+  });
+});
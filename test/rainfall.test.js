@@ -0,0 +1,87 @@
+import assert from "node:assert";
+import { deriveRainIntervals, rainfallIntervals } from "../src/rainfall.js";
+
+describe("rainfall", () => {
+  /** An observation at a local time, with that time's offset in endTime */
+  const observation = (local, precipitationSince9amMM, auroraId = "a") => ({
+    auroraId,
+    generationEpoch: new Date(local).getTime() / 1000,
+    endTime: local,
+    precipitationSince9amMM,
+  });
+
+  describe("rainfallIntervals", () => {
+    it("should difference consecutive readings and reset at local 9am", () => {
+      const intervals = rainfallIntervals([
+        observation("2026-01-21T08:30:00+11:00", 10),
+        observation("2026-01-21T08:50:00+11:00", 12.4),
+        observation("2026-01-21T09:10:00+11:00", 0.6),
+        observation("2026-01-21T09:30:00+11:00", 0.6),
+      ]);
+      assert.deepStrictEqual(
+        intervals.map(({ value, flag }) => [value, flag]),
+        [
+          [null, "first"],
+          [2.4, null],
+          [0.6, "reset"],
+          [0, null],
+        ],
+      );
+    });
+
+    it("should use each observation's own offset", () => {
+      // 9:10am in Perth is 12:10pm in Sydney, so Perth resets three hours
+      // after a +11:00 station would
+      const perth = rainfallIntervals([
+        observation("2026-01-21T08:50:00+08:00", 5),
+        observation("2026-01-21T09:10:00+08:00", 1),
+      ]);
+      assert.deepStrictEqual(perth[1], {
+        generationEpoch: perth[1].generationEpoch,
+        value: 1,
+        flag: "reset",
+      });
+
+      // Crossing 9am Sydney time doesn't reset a Perth station
+      const noReset = rainfallIntervals([
+        observation("2026-01-21T05:50:00+08:00", 5),
+        observation("2026-01-21T06:10:00+08:00", 4),
+      ]);
+      assert.strictEqual(noReset[1].flag, "negative");
+      assert.strictEqual(noReset[1].value, null);
+    });
+
+    it("should flag impossible rates", () => {
+      const intervals = rainfallIntervals([
+        observation("2026-01-21T12:00:00+10:00", 1),
+        observation("2026-01-21T12:10:00+10:00", 900),
+      ]);
+      assert.strictEqual(intervals[1].flag, "impossible");
+      assert.strictEqual(intervals[1].value, null);
+    });
+
+    it("should skip observations without a reading", () => {
+      const intervals = rainfallIntervals([
+        observation("2026-01-21T12:00:00+10:00", 1),
+        observation("2026-01-21T12:10:00+10:00", null),
+        observation("2026-01-21T12:20:00+10:00", 1.2),
+      ]);
+      assert.strictEqual(intervals.length, 2);
+      assert.strictEqual(intervals[1].value, 0.2);
+    });
+  });
+
+  describe("deriveRainIntervals", () => {
+    it("should keep stations separate", () => {
+      const rows = [
+        observation("2026-01-21T12:00:00+10:00", 1, "a"),
+        observation("2026-01-21T12:00:00+10:00", 5, "b"),
+        observation("2026-01-21T12:10:00+10:00", 2, "a"),
+        observation("2026-01-21T12:10:00+10:00", 5.5, "b"),
+      ];
+      const intervals = deriveRainIntervals(rows);
+      assert.strictEqual(intervals.get(rows[2]).value, 1);
+      assert.strictEqual(intervals.get(rows[3]).value, 0.5);
+    });
+  });
+});
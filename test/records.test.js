@@ -0,0 +1,216 @@
+import assert from "node:assert";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import generateRecords, {
+  beats,
+  findExtremes,
+  getRecentBreaks,
+  localMonth,
+  RECORDS_FILENAME,
+  updateRecords,
+} from "../src/records.js";
+import { MANIFEST_FILENAME } from "../src/manifest.js";
+import { append, closeDatabase, initializeDatabase } from "../src/sqlite.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe("records", () => {
+  /** An observation at a station's local time, with its offset in endTime */
+  const observation = (endTime, values) => ({
+    auroraId: "a",
+    generationTime: endTime,
+    generationEpoch: Date.parse(endTime) / 1000,
+    endTime,
+    qcFlags: null,
+    ...values,
+  });
+
+  it("should find the station's local month", () => {
+    assert.strictEqual(localMonth(observation("2026-01-31T23:30:00+10:00")), 1);
+    assert.strictEqual(localMonth(observation("2026-02-01T00:30:00+10:30")), 2);
+    assert.strictEqual(
+      localMonth({ generationEpoch: 0, endTime: "2026-02-01" }),
+      null,
+    );
+  });
+
+  it("should only count strictly more extreme values", () => {
+    assert.ok(beats("high", 30.1, 30));
+    assert.ok(!beats("high", 30, 30));
+    assert.ok(beats("low", -0.1, 0));
+    assert.ok(!beats("low", 1, 0));
+  });
+
+  it("should find the extremes for each month and overall", () => {
+    const rows = [
+      observation("2026-01-30T17:00:00+10:00", {
+        maximumTempC: 35,
+        maximumTempLocalTimeUTC: "2026-01-30T14:10:00+10:00",
+        maximumGustKmh: 60,
+      }),
+      observation("2026-02-02T17:00:00+10:00", {
+        maximumTempC: 33,
+        maximumGustKmh: 90,
+      }),
+      // Ties go to the first
+      observation("2026-02-03T17:00:00+10:00", { maximumTempC: 33 }),
+      // Flagged values never set records
+      observation("2026-02-04T17:00:00+10:00", {
+        maximumGustKmh: 400,
+        qcFlags: JSON.stringify({ maximumGustKmh: ["step"] }),
+      }),
+    ];
+    const extremes = findExtremes(rows);
+    const value = (key) => {
+      const { value, time } = extremes.get(key);
+      return [value, time];
+    };
+
+    assert.deepStrictEqual(value("a/maximumTempC/0/high"), [
+      35,
+      "2026-01-30T14:10:00+10:00",
+    ]);
+    assert.deepStrictEqual(value("a/maximumTempC/0/low"), [
+      33,
+      "2026-02-02T17:00:00+10:00",
+    ]);
+    assert.deepStrictEqual(value("a/maximumTempC/2/high"), [
+      33,
+      "2026-02-02T17:00:00+10:00",
+    ]);
+    assert.deepStrictEqual(value("a/maximumGustKmh/0/high"), [
+      90,
+      "2026-02-02T17:00:00+10:00",
+    ]);
+    assert.deepStrictEqual(value("a/maximumGustKmh/1/high"), [
+      60,
+      "2026-01-30T17:00:00+10:00",
+    ]);
+    // Gusts only have highs, and nothing was recorded for minimumTempC
+    assert.ok(!extremes.has("a/maximumGustKmh/0/low"));
+    assert.ok(
+      ![...extremes.keys()].some((key) => key.includes("minimumTempC")),
+    );
+  });
+
+  describe("updateRecords", () => {
+    const tempGeojsonPath = path.resolve(__dirname, "temp-records.geo.json");
+    const tempDbPath = path.resolve(__dirname, "temp-records.sqlite");
+    const tempAssetsDir = path.resolve(__dirname, "temp-records-assets");
+
+    const store = (fetchTime, endTime, values) =>
+      append({ ...observation(endTime, values), fetchTime });
+
+    before(async () => {
+      await fs.writeFile(
+        tempGeojsonPath,
+        JSON.stringify({
+          type: "FeatureCollection",
+          features: [
+            {
+              type: "Feature",
+              properties: { name: "A", auroraId: "a" },
+              geometry: { type: "Point", coordinates: [0, 0] },
+            },
+          ],
+        }),
+      );
+      await initializeDatabase(tempDbPath, tempGeojsonPath);
+    });
+
+    after(async () => {
+      closeDatabase();
+      await fs.unlink(tempGeojsonPath).catch(() => {});
+      await fs.unlink(tempDbPath).catch(() => {});
+      await fs.rm(tempAssetsDir, { recursive: true, force: true });
+    });
+
+    it("should only report records broken since the last update", async () => {
+      await store("2026-01-01T00:00:00.000Z", "2025-12-31T17:00:00+10:00", {
+        minimumTempC: 18,
+      });
+      await store("2026-01-01T00:00:00.000Z", "2026-01-01T17:00:00+10:00", {
+        minimumTempC: 15,
+      });
+      const first = await updateRecords();
+      assert.strictEqual(first.rows, 2);
+      assert.deepStrictEqual(first.broken, []);
+
+      await store("2026-01-02T00:00:00.000Z", "2026-01-02T17:00:00+10:00", {
+        minimumTempC: 12.5,
+      });
+      const second = await updateRecords({ runId: 7 });
+      assert.strictEqual(second.rows, 1);
+      // The overall and January lows, but not December's
+      assert.deepStrictEqual(
+        second.broken.map(({ month, extreme, oldValue, newValue }) => [
+          month,
+          extreme,
+          oldValue,
+          newValue,
+        ]),
+        [
+          [0, "low", 15, 12.5],
+          [1, "low", 15, 12.5],
+        ],
+      );
+      assert.strictEqual(second.broken[0].oldTime, "2026-01-01T17:00:00+10:00");
+
+      const third = await updateRecords();
+      assert.deepStrictEqual(third, { rows: 0, broken: [] });
+    });
+
+    it("should write the recent breaks to records.json", async () => {
+      const records = await generateRecords({
+        outputDir: tempAssetsDir,
+        days: 3650,
+      });
+      const written = JSON.parse(
+        await fs.readFile(path.join(tempAssetsDir, RECORDS_FILENAME), "utf8"),
+      );
+      assert.deepStrictEqual(written, JSON.parse(JSON.stringify(records)));
+      assert.strictEqual(written.records.length, 2);
+      assert.deepStrictEqual(Object.keys(written.records[0]), [
+        "auroraId",
+        "columnName",
+        "month",
+        "extreme",
+        "oldValue",
+        "oldTime",
+        "newValue",
+        "newTime",
+        "detectedAt",
+      ]);
+
+      const manifest = JSON.parse(
+        await fs.readFile(path.join(tempAssetsDir, MANIFEST_FILENAME), "utf8"),
+      );
+      assert.ok(manifest[RECORDS_FILENAME].hash);
+    });
+
+    it("should leave breaks by late observations out of records.json", async () => {
+      // Backfilled today, but from January
+      await store(new Date().toISOString(), "2026-01-03T17:00:00+10:00", {
+        minimumTempC: 10,
+      });
+      const late = await updateRecords();
+      assert.deepStrictEqual(
+        late.broken.map(({ newValue }) => newValue),
+        [10, 10],
+      );
+
+      // Fetched after the backfill, at a whole second for generationEpoch
+      const now = new Date(Math.ceil(Date.now() / 1000 + 1) * 1000);
+      await store(now.toISOString(), now.toISOString(), { minimumTempC: 5 });
+      const current = await updateRecords();
+      assert.ok(current.broken.length > 0);
+
+      const { records } = await getRecentBreaks({ days: 1 });
+      assert.deepStrictEqual(
+        records.map(({ newValue }) => newValue),
+        current.broken.map(() => 5),
+      );
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import assert from "node:assert";
+import { assignRegions, rollupSeries } from "../src/regions.js";
+
+describe("regions", () => {
+  const locations = [
+    // Brisbane Airport
+    { auroraId: "a", state: "QLD", longitude: 153.13, latitude: -27.39 },
+    // Cairns
+    { auroraId: "b", state: "QLD", longitude: 145.75, latitude: -16.87 },
+    // Melbourne Olympic Park
+    { auroraId: "c", state: "VIC", longitude: 144.98, latitude: -37.83 },
+    // Norfolk Island
+    { auroraId: "d", state: null, longitude: 167.94, latitude: -29.04 },
+  ];
+
+  describe("assignRegions", () => {
+    it("should group by state", () => {
+      assert.deepStrictEqual(
+        assignRegions(locations, "state"),
+        new Map([
+          ["QLD", ["a", "b"]],
+          ["VIC", ["c"]],
+        ]),
+      );
+    });
+
+    it("should group stations near capital cities", () => {
+      assert.deepStrictEqual(
+        assignRegions(locations, "capital"),
+        new Map([
+          ["Brisbane", ["a"]],
+          ["Melbourne", ["c"]],
+        ]),
+      );
+    });
+
+    it("should group by polygons, which may overlap", () => {
+      const box = (name, [west, south, east, north]) => ({
+        type: "Feature",
+        properties: { name },
+        geometry: {
+          type: "Polygon",
+          coordinates: [
+            [
+              [west, south],
+              [east, south],
+              [east, north],
+              [west, north],
+              [west, south],
+            ],
+          ],
+        },
+      });
+      assert.deepStrictEqual(
+        assignRegions(locations, [
+          box("SEQ", [151.5, -28.5, 153.6, -26]),
+          box("East coast", [144, -38, 154, -15]),
+        ]),
+        new Map([
+          ["SEQ", ["a"]],
+          ["East coast", ["a", "b", "c"]],
+        ]),
+      );
+    });
+  });
+
+  describe("rollupSeries", () => {
+    const series = {
+      a: [
+        [0, 20],
+        [10, 21],
+        [30, 22],
+      ],
+      b: [
+        [5, 30],
+        [35, 31],
+      ],
+      c: [[0, 10]],
+    };
+    const regions = new Map([
+      ["QLD", ["a", "b"]],
+      ["VIC", ["c"]],
+      ["TAS", ["e"]],
+    ]);
+
+    it("should combine each station's last value in each interval", () => {
+      assert.deepStrictEqual(
+        rollupSeries(series, regions, { stat: "mean", interval: 30 }),
+        {
+          series: {
+            QLD: [
+              [0, 25.5],
+              [30, 26.5],
+            ],
+            VIC: [[0, 10]],
+          },
+          stations: { QLD: 2, VIC: 1 },
+        },
+      );
+      assert.deepStrictEqual(
+        rollupSeries(series, regions, { stat: "max", interval: 30 }).series.QLD,
+        [
+          [0, 30],
+          [30, 31],
+        ],
+      );
+    });
+  });
+});
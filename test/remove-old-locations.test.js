@@ -0,0 +1,100 @@
+import assert from "node:assert";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import removeOldLocations from "../src/remove-old-locations.js";
+import { append, closeDatabase, initializeDatabase } from "../src/sqlite.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe("removeOldLocations", () => {
+  const tempGeojsonPath = path.resolve(__dirname, "temp-remove.geo.json");
+  const tempDbPath = path.resolve(__dirname, "temp-remove.sqlite");
+
+  const writeGeojson = (auroraIds) =>
+    fs.writeFile(
+      tempGeojsonPath,
+      JSON.stringify({
+        type: "FeatureCollection",
+        features: auroraIds.map((auroraId) => ({
+          type: "Feature",
+          properties: { name: auroraId, auroraId },
+          geometry: { type: "Point", coordinates: [0, 0] },
+        })),
+      }),
+    );
+
+  before(async () => {
+    await writeGeojson(["a", "b"]);
+    const db = await initializeDatabase(tempDbPath, tempGeojsonPath);
+    for (const auroraId of ["a", "b"]) {
+      await append({
+        auroraId,
+        fetchTime: "2026-01-21T00:00:00.000Z",
+        generationTime: "2026-01-21T10:00:00+10:00",
+        generationEpoch: Date.parse("2026-01-21T10:00:00+10:00") / 1000,
+        tempC: 25,
+      });
+      db.prepare(
+        `INSERT INTO records VALUES (?, 'tempC', 0, 'high', 25, ?, ?)`,
+      ).run(auroraId, "2026-01-21T10:00:00+10:00", "2026-01-21T00:00:00Z");
+    }
+    closeDatabase();
+    // fetch-aurora-ids drops b after the migrations have run
+    await writeGeojson(["a"]);
+  });
+
+  after(async () => {
+    closeDatabase();
+    await fs.unlink(tempGeojsonPath).catch(() => {});
+    await fs.unlink(tempDbPath).catch(() => {});
+  });
+
+  const countRows = async (table) => {
+    const db = await initializeDatabase(tempDbPath, tempGeojsonPath);
+    const rows = db
+      .prepare(`SELECT auroraId FROM ${table} ORDER BY auroraId`)
+      .all()
+      .map((row) => row.auroraId);
+    closeDatabase();
+    return rows;
+  };
+
+  it("should only count rows on a dry run", async () => {
+    const removed = await removeOldLocations({
+      dryRun: true,
+      databasePath: tempDbPath,
+      geojsonPath: tempGeojsonPath,
+    });
+    assert.strictEqual(removed.weather_data, 1);
+    assert.strictEqual(removed.records, 1);
+    assert.deepStrictEqual(await countRows("weather_data"), ["a", "b"]);
+  });
+
+  it("should remove locations dropped from au.geo.json", async () => {
+    const removed = await removeOldLocations({
+      databasePath: tempDbPath,
+      geojsonPath: tempGeojsonPath,
+    });
+    assert.deepStrictEqual(removed, {
+      weather_data: 1,
+      fetch_results: 0,
+      climatology: 0,
+      records: 1,
+      record_breaks: 0,
+    });
+    assert.deepStrictEqual(await countRows("weather_data"), ["a"]);
+    assert.deepStrictEqual(await countRows("records"), ["a"]);
+  });
+
+  it("should refuse to remove every location", async () => {
+    await writeGeojson([]);
+    await assert.rejects(
+      removeOldLocations({
+        databasePath: tempDbPath,
+        geojsonPath: tempGeojsonPath,
+      }),
+      /No Aurora IDs found/,
+    );
+  });
+});
@@ -0,0 +1,22 @@
+import assert from "node:assert";
+import { failureStreaks } from "../src/runs.js";
+
+describe("runs", () => {
+  describe("failureStreaks", () => {
+    it("should count consecutive failures from the latest run", () => {
+      const rows = [
+        { auroraId: "a", runId: 4, status: "failed", error: "HTTP 502" },
+        { auroraId: "a", runId: 3, status: "failed", error: "Timeout" },
+        { auroraId: "a", runId: 2, status: "inserted", error: null },
+        { auroraId: "a", runId: 1, status: "failed", error: "Timeout" },
+        { auroraId: "b", runId: 4, status: "duplicate", error: null },
+        { auroraId: "b", runId: 3, status: "failed", error: "Timeout" },
+        { auroraId: "c", runId: 4, status: "failed", error: "No data" },
+      ];
+      assert.deepStrictEqual(failureStreaks(rows), [
+        { auroraId: "a", streak: 2, lastError: "HTTP 502" },
+        { auroraId: "c", streak: 1, lastError: "No data" },
+      ]);
+    });
+  });
+});
@@ -2,7 +2,11 @@ import assert from "node:assert";
 import fs from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import { resolveLocalTimeToUtc } from "../src/utils.aurora-dates.js";
+import {
+  formatOffset,
+  parseOffsetMinutes,
+  resolveLocalTimeToUtc,
+} from "../src/utils.aurora-dates.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -139,4 +143,23 @@ describe("utils.aurora-dates", () => {
       }
     });
   });
+
+  describe("parseOffsetMinutes", () => {
+    it("should parse offsets", () => {
+      assert.strictEqual(parseOffsetMinutes("2026-01-21T17:20:00+10:30"), 630);
+      assert.strictEqual(parseOffsetMinutes("2026-01-21T17:20:00+08:00"), 480);
+      assert.strictEqual(parseOffsetMinutes("2026-01-21T07:20:00Z"), 0);
+      assert.strictEqual(parseOffsetMinutes("2026-01-21T17:20:00"), null);
+      assert.strictEqual(parseOffsetMinutes(null), null);
+    });
+  });
+
+  describe("formatOffset", () => {
+    it("should format offsets", () => {
+      assert.strictEqual(formatOffset(630), "+10:30");
+      assert.strictEqual(formatOffset(480), "+08:00");
+      assert.strictEqual(formatOffset(0), "+00:00");
+      assert.strictEqual(formatOffset(-210), "-03:30");
+    });
+  });
 });